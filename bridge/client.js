@@ -2,14 +2,35 @@
 "use strict";
 
 const net = require("net");
+const tls = require("tls");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const os = require("os");
+
+// Exit codes for `request` mode beyond the shared ones (1 usage, 2 auth, 3 error, 4 socket).
+const EXIT_REQUEST_TIMEOUT = 5;
+const EXIT_ERROR_RESPONSE = 6;
+const EXIT_VERIFY_FAILED = 7;
 
 function usage() {
   console.log(`Usage:
-  node bridge/client.js send --client <id> --key <apiKey> --to <clientId> [--type command] [--payload '{"k":"v"}'] [--socket /path.sock]
-  node bridge/client.js listen --client <id> --key <apiKey> [--socket /path.sock]
+  node bridge/client.js send --client <id> --key <apiKey> --to <clientId> [--type command] [--payload '{"k":"v"}'] [--priority high|normal|low] [--ttl ms] [--deliver-at ISO] [--e2e] [--socket /path.sock]
+  node bridge/client.js request --client <id> --key <apiKey> --to <clientId> [--type command] [--payload '{"k":"v"}'] [--priority high|normal|low] [--timeout ms] [--e2e] [--socket /path.sock]
+  node bridge/client.js publish --client <id> --key <apiKey> --topic <name> [--type event] [--payload '{"k":"v"}'] [--socket /path.sock]
+  node bridge/client.js listen --client <id> --key <apiKey> [--ack] [--verify] [--e2e] [--topic a,b] [--socket /path.sock]
   node bridge/client.js whoami --client <id> --key <apiKey> [--socket /path.sock]
+  node bridge/client.js verify --signing-key <hex> [--file inbox.jsonl]   (reads stdin without --file)
+
+The signing key is the "signing.key" value from auth_ok/whoami; it is specific to the receiving client.
+--e2e publishes this client's X25519 public key at auth, encrypts outgoing payloads to the
+recipient's published key and decrypts incoming ones. Keys live in $OPENCLAW_BRIDGE_E2E_DIR
+(default ~/.openclaw-bridge/e2e); peer keys are pinned on first use.
+
+Instead of --socket, any connecting mode accepts --tls <host:port> --tls-cert <client.pem>
+--tls-key <client-key.pem> --tls-ca <ca.pem> [--tls-servername <name>] to reach the daemon's
+mutual-TLS listener (env: OPENCLAW_BRIDGE_TLS, OPENCLAW_BRIDGE_TLS_CERT, _TLS_KEY, _TLS_CA).
+--key may be omitted over TLS for clients configured with "tlsAuth": "cert".
 `);
 }
 
@@ -39,6 +60,33 @@ function resolveSocketPath(cli) {
   return path.resolve(process.cwd(), "bridge/runtime/openclaw-bridge.sock");
 }
 
+function resolveTlsOptions(cli) {
+  const target = cli.tls !== undefined ? cli.tls : process.env.OPENCLAW_BRIDGE_TLS;
+  if (target === undefined) {
+    return null;
+  }
+  const match = /^(.+):(\d+)$/.exec(String(target));
+  if (!match) {
+    throw new Error("--tls expects <host:port>");
+  }
+  const files = {
+    cert: cli["tls-cert"] || process.env.OPENCLAW_BRIDGE_TLS_CERT,
+    key: cli["tls-key"] || process.env.OPENCLAW_BRIDGE_TLS_KEY,
+    ca: cli["tls-ca"] || process.env.OPENCLAW_BRIDGE_TLS_CA,
+  };
+  const out = { host: match[1], port: Number(match[2]), minVersion: "TLSv1.2" };
+  for (const [field, file] of Object.entries(files)) {
+    if (!file || file === true) {
+      throw new Error(`--tls-${field} is required with --tls`);
+    }
+    out[field] = fs.readFileSync(path.resolve(String(file)));
+  }
+  if (cli["tls-servername"]) {
+    out.servername = String(cli["tls-servername"]);
+  }
+  return out;
+}
+
 function parsePayload(raw) {
   if (raw === undefined || raw === true) {
     return null;
@@ -50,37 +98,321 @@ function parsePayload(raw) {
   }
 }
 
+function deliveryOptions(cli) {
+  const out = {};
+  if (cli.ttl !== undefined && cli.ttl !== true) {
+    out.ttlMs = Number(cli.ttl);
+  }
+  if (cli["deliver-at"] !== undefined && cli["deliver-at"] !== true) {
+    out.deliverAt = String(cli["deliver-at"]);
+  }
+  if (cli.priority !== undefined && cli.priority !== true) {
+    out.priority = String(cli.priority);
+  }
+  return out;
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// Must match canonicalEnvelope in bridge/daemon.js.
+function canonicalEnvelope(envelope) {
+  return JSON.stringify([
+    "v1",
+    envelope.id,
+    envelope.from,
+    envelope.to === undefined ? null : envelope.to,
+    envelope.topic === undefined ? null : envelope.topic,
+    envelope.type,
+    envelope.correlationId === undefined ? null : envelope.correlationId,
+    sha256(JSON.stringify(envelope.payload === undefined ? null : envelope.payload)),
+    envelope.ts,
+  ]);
+}
+
+// An envelope opened by --e2e is checked against the sealed payload it was delivered
+// with (`e2e.sealed`); the plaintext is only as good as the decryption that produced it.
+function verifyEnvelope(envelope, signingKeyHex) {
+  const signature = envelope && envelope.signature;
+  if (!signature || typeof signature.value !== "string") {
+    return { ok: false, reason: "unsigned" };
+  }
+  if (signature.alg !== "HMAC-SHA256") {
+    return { ok: false, reason: "unsupported_alg" };
+  }
+  const key = Buffer.from(String(signingKeyHex || ""), "hex");
+  if (key.length !== 32) {
+    return { ok: false, reason: "invalid_signing_key" };
+  }
+  if (signature.keyId !== sha256(key.toString("hex")).slice(0, 16)) {
+    return { ok: false, reason: "key_mismatch" };
+  }
+  const signed = envelope.e2e && envelope.e2e.sealed !== undefined ? Object.assign({}, envelope, { payload: envelope.e2e.sealed }) : envelope;
+  const expected = crypto.createHmac("sha256", key).update(canonicalEnvelope(signed)).digest();
+  const actual = Buffer.from(signature.value, "hex");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { ok: false, reason: "bad_signature" };
+  }
+  return { ok: true };
+}
+
+// Checks JSONL inbox lines holding either bare envelopes or {action:"message", envelope}.
+function runVerify(options) {
+  if (!options["signing-key"] || options["signing-key"] === true) {
+    console.error("--signing-key is required in verify mode");
+    process.exit(1);
+  }
+  const source = options.file && options.file !== true ? fs.readFileSync(String(options.file), "utf8") : fs.readFileSync(0, "utf8");
+  let failed = 0;
+  let checked = 0;
+  for (const line of source.split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    checked += 1;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      failed += 1;
+      console.log(JSON.stringify({ ok: false, reason: "invalid_json" }));
+      continue;
+    }
+    const envelope = record && record.envelope ? record.envelope : record;
+    const result = verifyEnvelope(envelope, options["signing-key"]);
+    if (!result.ok) {
+      failed += 1;
+    }
+    console.log(JSON.stringify(Object.assign({ id: envelope && envelope.id, from: envelope && envelope.from }, result)));
+  }
+  console.error(`${checked - failed}/${checked} envelope(s) verified`);
+  process.exit(failed > 0 ? EXIT_VERIFY_FAILED : 0);
+}
+
+const E2E_ALG = "X25519-HKDF-SHA256-AES256GCM";
+
+function e2eDir() {
+  return path.resolve(process.env.OPENCLAW_BRIDGE_E2E_DIR || path.join(os.homedir(), ".openclaw-bridge", "e2e"));
+}
+
+function e2eKeyId(publicKey) {
+  return sha256(publicKey).slice(0, 16);
+}
+
+// Long-lived X25519 identity per client id; created on first --e2e use.
+function loadIdentity(clientId) {
+  const file = path.join(e2eDir(), `${clientId}.json`);
+  let stored = null;
+  try {
+    stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`Failed to read e2e identity ${file}: ${err.message}`);
+    }
+  }
+  if (!stored) {
+    const { privateKey } = crypto.generateKeyPairSync("x25519");
+    stored = { clientId, privateJwk: privateKey.export({ format: "jwk" }), createdAt: new Date().toISOString() };
+    fs.mkdirSync(e2eDir(), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, `${JSON.stringify(stored, null, 2)}\n`, { mode: 0o600 });
+  }
+  const privateKey = crypto.createPrivateKey({ key: stored.privateJwk, format: "jwk" });
+  const publicKey = stored.privateJwk.x;
+  return { privateKey, publicKey, keyId: e2eKeyId(publicKey) };
+}
+
+// Trust on first use: the bridge distributes keys, so a key that later changes for
+// the same peer is refused until the pin is removed from <client>.known-keys.json.
+function checkPinnedKey(clientId, peerId, publicKey) {
+  const file = path.join(e2eDir(), `${clientId}.known-keys.json`);
+  let known = {};
+  try {
+    known = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    known = {};
+  }
+  if (known[peerId] && known[peerId] !== publicKey) {
+    return { ok: false, reason: "peer_key_changed" };
+  }
+  if (!known[peerId]) {
+    known[peerId] = publicKey;
+    fs.mkdirSync(e2eDir(), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, `${JSON.stringify(known, null, 2)}\n`, { mode: 0o600 });
+  }
+  return { ok: true };
+}
+
+function e2eKey(identity, peerPublicKey, salt, info) {
+  const publicKey = crypto.createPublicKey({ key: { kty: "OKP", crv: "X25519", x: peerPublicKey }, format: "jwk" });
+  const shared = crypto.diffieHellman({ privateKey: identity.privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync("sha256", shared, salt, info, 32));
+}
+
+function encryptPayload(identity, from, to, recipientKey, payload) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const info = `openclaw-bridge-e2e:v1:${from}:${to}`;
+  const cipher = crypto.createCipheriv("aes-256-gcm", e2eKey(identity, recipientKey, salt, info), iv);
+  cipher.setAAD(Buffer.from(info));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload === undefined ? null : payload)), cipher.final()]);
+  return {
+    e2e: "v1",
+    alg: E2E_ALG,
+    senderKey: identity.publicKey,
+    recipientKeyId: e2eKeyId(recipientKey),
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+  };
+}
+
+function isE2ePayload(payload) {
+  return Boolean(payload && typeof payload === "object" && payload.e2e === "v1");
+}
+
+function decryptPayload(identity, envelope) {
+  const sealed = envelope.payload;
+  if (sealed.alg !== E2E_ALG || typeof sealed.senderKey !== "string") {
+    return { ok: false, reason: "unsupported_e2e" };
+  }
+  if (sealed.recipientKeyId !== identity.keyId) {
+    return { ok: false, reason: "not_encrypted_for_this_key" };
+  }
+  try {
+    const info = `openclaw-bridge-e2e:v1:${envelope.from}:${envelope.to}`;
+    const key = e2eKey(identity, sealed.senderKey, Buffer.from(sealed.salt, "base64"), info);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(sealed.iv, "base64"));
+    decipher.setAAD(Buffer.from(info));
+    decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+    const plain = Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, "base64")), decipher.final()]);
+    return { ok: true, payload: JSON.parse(plain.toString("utf8")), senderKey: sealed.senderKey };
+  } catch {
+    return { ok: false, reason: "decrypt_failed" };
+  }
+}
+
+// Replaces an e2e payload with its plaintext after checking the sender's key pin. The
+// sealed original is kept as `e2e.sealed` so the signature can still be verified.
+function openEnvelope(identity, clientId, envelope, advertised) {
+  if (!identity || !envelope || !isE2ePayload(envelope.payload)) {
+    return { ok: true, envelope };
+  }
+  const opened = decryptPayload(identity, envelope);
+  if (!opened.ok) {
+    return opened;
+  }
+  const expected = advertised && advertised[envelope.from] ? advertised[envelope.from].key : null;
+  if (expected && expected !== opened.senderKey) {
+    return { ok: false, reason: "sender_key_mismatch" };
+  }
+  const pinned = checkPinnedKey(clientId, envelope.from, opened.senderKey);
+  if (!pinned.ok) {
+    return pinned;
+  }
+  return {
+    ok: true,
+    envelope: Object.assign({}, envelope, {
+      payload: opened.payload,
+      e2e: { senderKeyId: e2eKeyId(opened.senderKey), sealed: envelope.payload },
+    }),
+  };
+}
+
 function sendJson(socket, value) {
   socket.write(`${JSON.stringify(value)}\n`);
 }
 
 function connectAndRun(options) {
-  const socketPath = resolveSocketPath(options);
-  if (!fs.existsSync(socketPath)) {
+  const tlsOptions = resolveTlsOptions(options);
+  const socketPath = tlsOptions ? null : resolveSocketPath(options);
+  if (socketPath && !fs.existsSync(socketPath)) {
     throw new Error(`Socket not found: ${socketPath}`);
   }
 
   const mode = options._[0];
   const clientId = String(options.client || "");
-  const key = String(options.key || "");
+  const key = options.key && options.key !== true ? String(options.key) : "";
 
-  if (!mode || !clientId || !key) {
+  if (!mode || !clientId || (!key && !tlsOptions)) {
     usage();
     process.exit(1);
   }
 
-  const socket = net.createConnection(socketPath);
+  const socket = tlsOptions ? tls.connect(tlsOptions) : net.createConnection(socketPath);
+  const endpoint = tlsOptions ? `tls://${tlsOptions.host}:${tlsOptions.port}` : socketPath;
   let buffer = "";
   let authed = false;
+  let signingKey = null;
+  let publicKeys = {};
+  const identity = options.e2e === true ? loadIdentity(clientId) : null;
+  const correlationId = options.correlationId ? String(options.correlationId) : `corr_${crypto.randomBytes(8).toString("hex")}`;
 
-  socket.on("connect", () => {
-    sendJson(socket, {
+  socket.on(tlsOptions ? "secureConnect" : "connect", () => {
+    sendJson(socket, Object.assign({
       action: "auth",
       clientId,
-      apiKey: key,
-    });
+      apiKey: key || undefined,
+      acks: mode === "listen" && options.ack === true,
+    }, identity ? { publicKey: { alg: "X25519", key: identity.publicKey } } : {}));
   });
 
+  function dispatchOutgoing() {
+    if (!options.to) {
+      console.error(`--to is required in ${mode} mode`);
+      process.exit(1);
+    }
+    let payload = null;
+    try {
+      payload = parsePayload(options.payload);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+
+    if (identity) {
+      const to = String(options.to);
+      const recipient = publicKeys[to];
+      if (!recipient) {
+        console.error(`${to} has not published an e2e public key (it must connect once with --e2e)`);
+        process.exit(1);
+      }
+      const pinned = checkPinnedKey(clientId, to, recipient.key);
+      if (!pinned.ok) {
+        console.error(`Refusing to encrypt to ${to}: ${pinned.reason}`);
+        process.exit(1);
+      }
+      payload = encryptPayload(identity, clientId, to, recipient.key, payload);
+    }
+
+    if (mode === "request") {
+      const timeoutMs = Number(options.timeout) > 0 ? Number(options.timeout) : 30000;
+      sendJson(socket, Object.assign({
+        action: "request",
+        to: String(options.to),
+        type: options.type ? String(options.type) : "command",
+        payload,
+        correlationId,
+        timeoutMs,
+      }, deliveryOptions(options)));
+      // Backstop in case the bridge never delivers its own timeout envelope.
+      setTimeout(() => {
+        console.error(JSON.stringify({ error: "timeout", correlationId, timeoutMs }));
+        process.exit(EXIT_REQUEST_TIMEOUT);
+      }, timeoutMs + 2000).unref();
+      return;
+    }
+
+    sendJson(socket, Object.assign({
+      action: "send",
+      to: String(options.to),
+      type: options.type ? String(options.type) : "command",
+      payload,
+      correlationId: options.correlationId ? String(options.correlationId) : null,
+    }, deliveryOptions(options)));
+  }
+
   socket.on("data", (chunk) => {
     buffer += chunk.toString("utf8");
 
@@ -104,16 +436,32 @@ function connectAndRun(options) {
       }
 
       if (msg.action === "auth_failed") {
-        console.error("Auth failed");
+        console.error(msg.reason ? `Auth failed: ${msg.reason}` : "Auth failed");
         process.exit(2);
       }
 
       if (msg.action === "auth_ok") {
         authed = true;
+        signingKey = msg.signing ? msg.signing.key : null;
+
+        // With --e2e, peer keys come from whoami before anything is sent or opened.
+        if (identity && mode !== "whoami") {
+          sendJson(socket, { action: "whoami" });
+          if (mode === "send" || mode === "request") {
+            continue;
+          }
+        } else if (mode === "send" || mode === "request") {
+          dispatchOutgoing();
+          continue;
+        }
 
-        if (mode === "send") {
-          if (!options.to) {
-            console.error("--to is required in send mode");
+        if (mode === "publish") {
+          if (identity) {
+            console.error("--e2e is not supported for topic publishes");
+            process.exit(1);
+          }
+          if (!options.topic || options.topic === true) {
+            console.error("--topic is required in publish mode");
             process.exit(1);
           }
           let payload = null;
@@ -123,13 +471,11 @@ function connectAndRun(options) {
             console.error(err.message);
             process.exit(1);
           }
-
           sendJson(socket, {
-            action: "send",
-            to: String(options.to),
-            type: options.type ? String(options.type) : "command",
+            action: "publish",
+            topic: String(options.topic),
+            type: options.type ? String(options.type) : "event",
             payload,
-            correlationId: options.correlationId ? String(options.correlationId) : null,
           });
           continue;
         }
@@ -140,7 +486,13 @@ function connectAndRun(options) {
         }
 
         if (mode === "listen") {
-          console.error(`Listening as ${clientId} on ${socketPath}`);
+          const topics = options.topic && options.topic !== true
+            ? String(options.topic).split(",").map((topic) => topic.trim()).filter(Boolean)
+            : [];
+          for (const topic of topics) {
+            sendJson(socket, { action: "subscribe", topic });
+          }
+          console.error(`Listening as ${clientId} on ${endpoint}${topics.length > 0 ? ` (topics: ${topics.join(", ")})` : ""}`);
           continue;
         }
 
@@ -148,8 +500,27 @@ function connectAndRun(options) {
         process.exit(1);
       }
 
+      if (msg.action === "whoami" && identity && mode !== "whoami") {
+        publicKeys = msg.publicKeys || {};
+        if (mode === "send" || mode === "request") {
+          dispatchOutgoing();
+        }
+        continue;
+      }
+
       if (msg.action === "message" && mode === "listen") {
-        console.log(JSON.stringify(msg.envelope));
+        const verified = options.verify === true ? verifyEnvelope(msg.envelope, signingKey) : null;
+        const opened = openEnvelope(identity, clientId, msg.envelope, publicKeys);
+        if (verified && !verified.ok) {
+          console.error(JSON.stringify({ error: "invalid_signature", reason: verified.reason, id: msg.envelope && msg.envelope.id }));
+        } else if (!opened.ok) {
+          console.error(JSON.stringify({ error: "e2e_failed", reason: opened.reason, id: msg.envelope && msg.envelope.id }));
+        } else {
+          console.log(JSON.stringify(opened.envelope));
+        }
+        if (msg.ackRequired && msg.envelope && msg.envelope.id) {
+          sendJson(socket, { action: "ack", id: msg.envelope.id });
+        }
         continue;
       }
 
@@ -168,6 +539,46 @@ function connectAndRun(options) {
         }
       }
 
+      if (mode === "publish") {
+        if (msg.action === "published") {
+          console.log(JSON.stringify(msg, null, 2));
+          process.exit(0);
+        }
+        if (msg.action === "error") {
+          console.error(JSON.stringify(msg, null, 2));
+          process.exit(3);
+        }
+      }
+
+      if (mode === "request") {
+        if (msg.action === "error") {
+          console.error(JSON.stringify(msg, null, 2));
+          process.exit(3);
+        }
+        if (msg.action === "message" && msg.envelope && msg.envelope.correlationId === correlationId) {
+          if (msg.ackRequired) {
+            sendJson(socket, { action: "ack", id: msg.envelope.id });
+          }
+          const opened = openEnvelope(identity, clientId, msg.envelope, publicKeys);
+          if (!opened.ok) {
+            console.error(JSON.stringify({ error: "e2e_failed", reason: opened.reason, id: msg.envelope.id }));
+            process.exit(EXIT_ERROR_RESPONSE);
+          }
+          const envelope = opened.envelope;
+          const payload = envelope.payload && typeof envelope.payload === "object" ? envelope.payload : {};
+          if (envelope.from === "bridge" && payload.error === "timeout") {
+            console.error(JSON.stringify(envelope, null, 2));
+            process.exit(EXIT_REQUEST_TIMEOUT);
+          }
+          if (envelope.type === "error" || payload.ok === false) {
+            console.error(JSON.stringify(envelope, null, 2));
+            process.exit(EXIT_ERROR_RESPONSE);
+          }
+          console.log(JSON.stringify(envelope, null, 2));
+          process.exit(0);
+        }
+      }
+
       if (mode === "whoami") {
         if (msg.action === "whoami" || msg.action === "error") {
           console.log(JSON.stringify(msg, null, 2));
@@ -189,20 +600,33 @@ function connectAndRun(options) {
   });
 
   socket.on("end", () => {
+    if (!authed) {
+      // A TLS listener that rejects the client certificate closes after the handshake.
+      console.error("Connection closed before authentication");
+      process.exit(4);
+    }
     if (mode === "listen") {
       process.exit(0);
     }
   });
 }
 
-try {
-  const cli = parseArgs(process.argv.slice(2));
-  if (!cli._.length || cli.help) {
-    usage();
-    process.exit(0);
+module.exports = { canonicalEnvelope, verifyEnvelope };
+
+if (require.main === module) {
+  try {
+    const cli = parseArgs(process.argv.slice(2));
+    if (!cli._.length || cli.help) {
+      usage();
+      process.exit(0);
+    }
+    if (cli._[0] === "verify") {
+      runVerify(cli);
+    } else {
+      connectAndRun(cli);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
   }
-  connectAndRun(cli);
-} catch (err) {
-  console.error(err.message);
-  process.exit(1);
 }
@@ -4,9 +4,11 @@
 const fs = require("fs");
 const path = require("path");
 const net = require("net");
+const tls = require("tls");
 const http = require("http");
 const crypto = require("crypto");
 const os = require("os");
+const { EventEmitter } = require("events");
 const { spawn, spawnSync } = require("child_process");
 
 const BRIDGE_ROOT = path.resolve(__dirname, "..");
@@ -102,6 +104,186 @@ function normalizePath(inputPath) {
   return path.resolve(expandHome(inputPath));
 }
 
+const DELIVERY_MODES = ["broadcast", "round_robin", "least_busy"];
+
+function isValidTopic(topic) {
+  return typeof topic === "string" && /^[A-Za-z0-9][A-Za-z0-9._:/-]{0,127}$/.test(topic);
+}
+
+const GROUP_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9*?][A-Za-z0-9*?._:-]{0,127}$/;
+const globCache = new Map();
+
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+function matchesPattern(pattern, value) {
+  if (pattern === "*") {
+    return true;
+  }
+  if (!isGlob(pattern)) {
+    return pattern === value;
+  }
+  if (!globCache.has(pattern)) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    globCache.set(pattern, new RegExp(`^${source}$`));
+  }
+  return globCache.get(pattern).test(value);
+}
+
+function isValidTopicPattern(pattern) {
+  return pattern === "*" || isValidTopic(String(pattern).replace(/[*?]/g, "x"));
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string" && item.length > 0);
+}
+
+// canSendTo entries are either a target id / "*" (any type, any command) or a rule
+// object {to, types?, commands?} that narrows what may be sent to that target.
+// Targets may be an exact id, a glob such as "codex-*", or "@group". A `commands`
+// list needs a readable payload.command, so --e2e payloads never pass it.
+function validateRouteTarget(owner, target, groups) {
+  if (target.startsWith("@")) {
+    if (!groups[target.slice(1)]) {
+      throw new Error(`canSendTo for ${owner} references unknown group: ${target}`);
+    }
+    return;
+  }
+  if (target !== "*" && !CLIENT_ID_PATTERN.test(target)) {
+    throw new Error(`canSendTo for ${owner} has invalid target: ${target}`);
+  }
+}
+
+function validateRouteRule(clientId, rule, groups) {
+  if (typeof rule === "string" && rule.length > 0) {
+    validateRouteTarget(clientId, rule, groups);
+    return;
+  }
+  const obj = asObject(rule);
+  if (typeof obj.to !== "string" || !obj.to) {
+    throw new Error(`canSendTo rule for ${clientId} requires "to"`);
+  }
+  validateRouteTarget(clientId, obj.to, groups);
+  for (const key of ["types", "commands"]) {
+    if (obj[key] !== undefined && !isStringList(obj[key])) {
+      throw new Error(`canSendTo rule for ${clientId} -> ${obj.to}: ${key} must be a list of strings`);
+    }
+  }
+}
+
+function validateAclLists(owner, entry, groups) {
+  for (const key of ["canSendTo", "canPublish", "canSubscribe"]) {
+    if (!Array.isArray(entry[key])) {
+      throw new Error(`${key} for ${owner} must be a list`);
+    }
+  }
+  for (const rule of entry.canSendTo) {
+    validateRouteRule(owner, rule, groups);
+  }
+  for (const topic of entry.canPublish.concat(entry.canSubscribe)) {
+    if (!isValidTopicPattern(topic)) {
+      throw new Error(`invalid topic for ${owner}: ${topic}`);
+    }
+  }
+}
+
+// config.groups maps a group name to either a member list or
+// { members, canSendTo, canPublish, canSubscribe }. Members are client ids or globs;
+// clients may also join with their own `groups` list. Group ACLs add to each member's.
+function normalizeGroups(rawGroups) {
+  const groups = {};
+  for (const [name, value] of Object.entries(asObject(rawGroups))) {
+    if (!GROUP_NAME_PATTERN.test(name)) {
+      throw new Error(`invalid group name: ${name}`);
+    }
+    const def = Array.isArray(value) ? { members: value } : asObject(value);
+    const group = {
+      members: def.members === undefined ? [] : def.members,
+      canSendTo: def.canSendTo === undefined ? [] : def.canSendTo,
+      canPublish: def.canPublish === undefined ? [] : def.canPublish,
+      canSubscribe: def.canSubscribe === undefined ? [] : def.canSubscribe,
+    };
+    if (!Array.isArray(group.members) || !group.members.every((member) => CLIENT_ID_PATTERN.test(String(member)))) {
+      throw new Error(`group ${name} has invalid members`);
+    }
+    groups[name] = group;
+  }
+  return groups;
+}
+
+// Scope required per admin route; routes not listed only need a valid token.
+const ADMIN_ROUTE_SCOPES = {
+  "GET /api/status": "read:status",
+  "GET /api/mission-control/snapshot": "read:snapshot",
+  "GET /api/mission-control/services": "read:snapshot",
+  "POST /api/send": "send:envelopes",
+  "POST /api/config/reload": "admin:config",
+  "GET /api/clients": "read:clients",
+  "POST /api/clients": "admin:clients",
+  "POST /api/clients/update": "admin:clients",
+  "POST /api/clients/disable": "admin:clients",
+  "POST /api/clients/rotate": "admin:clients",
+  "POST /api/clients/delete": "admin:clients",
+  "GET /api/dlq": "read:dlq",
+  "GET /api/dlq/entry": "read:dlq",
+  "POST /api/dlq/purge": "write:dlq",
+  "POST /api/dlq/replay": "write:dlq",
+  "POST /api/mission-control/services/start-required": "control:services",
+  "POST /api/mission-control/service": "control:services",
+  "POST /api/mission-control/note": "write:notes",
+  "POST /api/mission-control/schedule": "write:schedule",
+  "POST /api/mission-control/intake/ack": "write:intake",
+  "POST /api/mission-control/action": "control:actions",
+};
+const ADMIN_SCOPES = new Set(Object.values(ADMIN_ROUTE_SCOPES));
+const ADMIN_TOKEN_NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// A scope is an exact name, "<kind>:*" for every scope of that kind, or "*".
+function isValidScope(scope) {
+  if (scope === "*" || ADMIN_SCOPES.has(scope)) {
+    return true;
+  }
+  const match = /^([a-z]+):\*$/.exec(String(scope));
+  return Boolean(match) && Array.from(ADMIN_SCOPES).some((known) => known.startsWith(`${match[1]}:`));
+}
+
+function hasScope(scopes, required) {
+  return scopes.includes("*") || scopes.includes(required) || scopes.includes(`${required.split(":")[0]}:*`);
+}
+
+// The legacy single adminTokenSha256 keeps working as a full-access token named "admin".
+function normalizeAdminTokens(rawTokens, legacyHash) {
+  if (rawTokens !== undefined && !Array.isArray(rawTokens)) {
+    throw new Error("adminTokens must be an array");
+  }
+  const tokens = [];
+  const names = new Set();
+  for (const entry of rawTokens || []) {
+    if (!entry || !ADMIN_TOKEN_NAME_PATTERN.test(entry.name || "") || typeof entry.tokenSha256 !== "string") {
+      throw new Error("each adminTokens entry requires name and tokenSha256");
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`duplicate admin token name: ${entry.name}`);
+    }
+    names.add(entry.name);
+    if (!isStringList(entry.scopes) || entry.scopes.length === 0) {
+      throw new Error(`admin token ${entry.name} requires a non-empty scopes list`);
+    }
+    for (const scope of entry.scopes) {
+      if (!isValidScope(scope)) {
+        throw new Error(`admin token ${entry.name} has unknown scope: ${scope}`);
+      }
+    }
+    tokens.push({ name: entry.name, tokenSha256: entry.tokenSha256, scopes: entry.scopes.slice() });
+  }
+  if (legacyHash && !names.has("admin")) {
+    tokens.push({ name: "admin", tokenSha256: legacyHash, scopes: ["*"] });
+  }
+  return tokens;
+}
+
 function loadConfig(configPath) {
   if (!fs.existsSync(configPath)) {
     throw new Error(`Config not found: ${configPath}`);
@@ -117,6 +299,38 @@ function loadConfig(configPath) {
     maxMessageBytes: 65536,
     queueLimit: 500,
     logFile: path.resolve(process.cwd(), "bridge/runtime/bridge.log"),
+    queueFile: path.resolve(process.cwd(), "bridge/runtime/queue.jsonl"),
+    queueCompactThreshold: 1000,
+    deadLetterFile: path.resolve(process.cwd(), "bridge/runtime/dead-letter.jsonl"),
+    deadLetterLimit: 1000,
+    clientStateFile: path.resolve(process.cwd(), "bridge/runtime/client-state.json"),
+    auditFile: path.resolve(process.cwd(), "bridge/runtime/audit.jsonl"),
+    signingKeyFile: path.resolve(process.cwd(), "bridge/runtime/signing.key"),
+    auditMaxBytes: 10 * 1024 * 1024,
+    auditRetainFiles: 5,
+    dormantClientDays: 30,
+    keyExpiryWarningDays: 7,
+    ackTimeoutMs: 30000,
+    maxDeliveryAttempts: 5,
+    requestTimeoutMs: 30000,
+    maxScheduleMs: 7 * 24 * 60 * 60 * 1000,
+    expiredEnvelopes: "dead_letter",
+    secretScan: "block",
+    wsEnabled: false,
+    tlsHost: "127.0.0.1",
+    tlsPort: 0,
+    tlsCertFile: null,
+    tlsKeyFile: null,
+    tlsCaFile: null,
+    maxRequestTimeoutMs: 300000,
+    panelSessionTtlMs: 2 * 60 * 60 * 1000,
+    panelOrigins: [],
+    authLockoutThreshold: 5,
+    authLockoutBaseMs: 1000,
+    authLockoutMaxMs: 15 * 60 * 1000,
+    authFailureWindowMs: 15 * 60 * 1000,
+    authFailureAlertThreshold: 10,
+    keyRotationGraceMs: 24 * 60 * 60 * 1000,
     clients: [],
     missionControl: {},
   };
@@ -126,6 +340,32 @@ function loadConfig(configPath) {
     throw new Error("config.clients must contain at least one client");
   }
 
+  config.groups = normalizeGroups(config.groups);
+  config.adminTokens = normalizeAdminTokens(config.adminTokens, config.adminTokenSha256);
+  if (typeof config.wsEnabled !== "boolean") {
+    throw new Error("wsEnabled must be true or false");
+  }
+  if (!["block", "redact", "off"].includes(config.secretScan)) {
+    throw new Error("secretScan must be block, redact or off");
+  }
+  if (!isStringList(config.panelOrigins)) {
+    throw new Error("panelOrigins must be an array of origins");
+  }
+  if (config.tlsPort) {
+    if (!Number.isInteger(config.tlsPort) || config.tlsPort < 1 || config.tlsPort > 65535) {
+      throw new Error(`invalid tlsPort: ${config.tlsPort}`);
+    }
+    for (const field of ["tlsCertFile", "tlsKeyFile", "tlsCaFile"]) {
+      if (typeof config[field] !== "string" || !config[field]) {
+        throw new Error(`${field} is required when tlsPort is set`);
+      }
+      config[field] = path.resolve(config[field]);
+    }
+  }
+  for (const [name, group] of Object.entries(config.groups)) {
+    validateAclLists(`group ${name}`, group, config.groups);
+  }
+
   const seen = new Set();
   for (const client of config.clients) {
     if (!client.id || !client.keySha256) {
@@ -135,7 +375,50 @@ function loadConfig(configPath) {
       throw new Error(`duplicate client id: ${client.id}`);
     }
     seen.add(client.id);
+    if (!CLIENT_ID_PATTERN.test(client.id) || isGlob(client.id)) {
+      throw new Error(`invalid client id: ${client.id}`);
+    }
     client.canSendTo = Array.isArray(client.canSendTo) ? client.canSendTo : [];
+    client.canPublish = Array.isArray(client.canPublish) ? client.canPublish : [];
+    client.canSubscribe = Array.isArray(client.canSubscribe) ? client.canSubscribe : [];
+    validateAclLists(client.id, client, config.groups);
+    client.groups = Array.isArray(client.groups) ? client.groups : [];
+    for (const name of client.groups) {
+      if (!config.groups[name]) {
+        throw new Error(`client ${client.id} references unknown group: ${name}`);
+      }
+    }
+    client.disabled = client.disabled === true;
+    for (const field of ["allowedUids", "allowedGids"]) {
+      if (client[field] !== undefined && !(Array.isArray(client[field]) && client[field].every((id) => Number.isInteger(id) && id >= 0))) {
+        throw new Error(`${field} for ${client.id} must be an array of numeric ids`);
+      }
+    }
+    for (const field of ["expiresAt", "notBefore"]) {
+      if (client[field] !== undefined && !Number.isFinite(Date.parse(client[field]))) {
+        throw new Error(`invalid ${field} for ${client.id}: ${client[field]}`);
+      }
+    }
+    client.delivery = client.delivery === undefined ? "broadcast" : client.delivery;
+    if (!DELIVERY_MODES.includes(client.delivery)) {
+      throw new Error(`invalid delivery mode for ${client.id}: ${client.delivery}`);
+    }
+    if (client.certSha256 !== undefined) {
+      client.certSha256 = normalizeFingerprint(client.certSha256);
+      if (!/^[0-9a-f]{64}$/.test(client.certSha256)) {
+        throw new Error(`certSha256 for ${client.id} must be a SHA-256 certificate fingerprint`);
+      }
+    }
+    client.tlsAuth = client.tlsAuth === undefined ? "cert+key" : client.tlsAuth;
+    if (!["cert+key", "cert"].includes(client.tlsAuth)) {
+      throw new Error(`invalid tlsAuth for ${client.id}: ${client.tlsAuth}`);
+    }
+    client.previousKeys = Array.isArray(client.previousKeys) ? client.previousKeys : [];
+    for (const entry of client.previousKeys) {
+      if (!entry || typeof entry.keySha256 !== "string" || !Number.isFinite(Date.parse(entry.expiresAt))) {
+        throw new Error(`invalid previousKeys entry for ${client.id}`);
+      }
+    }
   }
 
   return config;
@@ -144,8 +427,24 @@ function loadConfig(configPath) {
 function ensureRuntime(config) {
   fs.mkdirSync(path.dirname(config.socketPath), { recursive: true });
   fs.mkdirSync(path.dirname(config.logFile), { recursive: true });
+  fs.mkdirSync(path.dirname(config.queueFile), { recursive: true });
+  fs.mkdirSync(path.dirname(config.deadLetterFile), { recursive: true });
+  fs.mkdirSync(path.dirname(config.clientStateFile), { recursive: true });
+  fs.mkdirSync(path.dirname(config.auditFile), { recursive: true });
+  fs.mkdirSync(path.dirname(config.signingKeyFile), { recursive: true });
+}
+
+function configFileSha() {
+  try {
+    return sha256(fs.readFileSync(CONFIG_PATH));
+  } catch {
+    return null;
+  }
 }
 
+// Hash of the config file as last applied, so background writers can tell whether
+// the file carries hand edits that have not been reloaded yet.
+let loadedConfigSha = configFileSha();
 const config = loadConfig(CONFIG_PATH);
 ensureRuntime(config);
 
@@ -179,368 +478,3118 @@ function writeLog(message, extra, level = "info") {
   }
 }
 
-const clientsById = new Map(config.clients.map((c) => [c.id, c]));
-const activeConnections = new Map();
-const pendingQueues = new Map();
+// Audit trail: one JSONL record per security-relevant event. Each record carries
+// the previous record's hash in `prev` and its own `hash` = sha256 of the record
+// serialized without `hash`, so edits, deletions and reordering break the chain.
+// bridge/verify-audit.js checks it across rotated files.
+const AUDIT_GENESIS = "0".repeat(64);
+const auditState = { seq: 0, lastHash: AUDIT_GENESIS, bytes: 0 };
 
-function getQueue(clientId) {
-  if (!pendingQueues.has(clientId)) {
-    pendingQueues.set(clientId, []);
+function auditFilePath(index) {
+  return index === 0 ? config.auditFile : `${config.auditFile}.${index}`;
+}
+
+function readLastLine(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+    const size = fs.fstatSync(fd).size;
+    const length = Math.min(size, 64 * 1024);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    const lines = buffer.toString("utf8").split("\n").filter((line) => line.trim());
+    return lines.length > 0 ? lines[lines.length - 1] : null;
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
   }
-  return pendingQueues.get(clientId);
 }
 
-function setSocketMode(socketPath, modeText) {
+function initAuditLog() {
+  auditState.bytes = safeStat(config.auditFile)?.size || 0;
+  const tail = readLastLine(config.auditFile) || readLastLine(auditFilePath(1));
+  const last = tail ? parseJsonOrNull(tail) : null;
+  if (last && typeof last.hash === "string" && Number.isInteger(last.seq)) {
+    auditState.seq = last.seq;
+    auditState.lastHash = last.hash;
+  } else if (tail) {
+    writeLog("audit log tail unreadable; starting a new chain", { auditFile: config.auditFile }, "error");
+  }
+}
+
+function rotateAuditLog() {
+  const retain = Math.max(1, toNumber(config.auditRetainFiles, 5) || 5);
+  fs.rmSync(auditFilePath(retain), { force: true });
+  for (let index = retain - 1; index >= 1; index -= 1) {
+    if (fs.existsSync(auditFilePath(index))) {
+      fs.renameSync(auditFilePath(index), auditFilePath(index + 1));
+    }
+  }
+  fs.renameSync(config.auditFile, auditFilePath(1));
+  auditState.bytes = 0;
+}
+
+function appendAudit(event, details) {
+  const record = Object.assign({ seq: auditState.seq + 1, ts: nowIso(), event }, details, { prev: auditState.lastHash });
+  record.hash = sha256(JSON.stringify(record));
+  const line = `${JSON.stringify(record)}\n`;
   try {
-    const mode = Number.parseInt(modeText, 8);
-    if (!Number.isNaN(mode)) {
-      fs.chmodSync(socketPath, mode);
+    if (auditState.bytes > 0 && auditState.bytes + Buffer.byteLength(line) > config.auditMaxBytes) {
+      rotateAuditLog();
     }
+    fs.appendFileSync(config.auditFile, line);
+    auditState.seq = record.seq;
+    auditState.lastHash = record.hash;
+    auditState.bytes += Buffer.byteLength(line);
   } catch (err) {
-    writeLog("failed to chmod socket", { socketPath, error: err.message }, "warn");
+    console.error(`[${nowIso()}] failed to append audit record`, err.message);
   }
 }
 
-function sendJson(socket, payload) {
+// Payloads are referenced by hash so the audit trail proves content without storing it.
+function auditEnvelope(envelope) {
+  const payload = JSON.stringify(envelope.payload === undefined ? null : envelope.payload);
+  return {
+    envelopeId: envelope.id,
+    from: envelope.from,
+    to: envelope.to,
+    topic: envelope.topic || null,
+    type: envelope.type,
+    correlationId: envelope.correlationId || null,
+    payloadSha256: sha256(payload),
+    payloadBytes: Buffer.byteLength(payload),
+  };
+}
+
+// Envelope signatures: HMAC-SHA256 under a key derived per recipient from the
+// bridge master key, handed to that recipient on auth_ok. A recipient can check
+// what the bridge sent it but cannot mint signatures valid for anyone else.
+function loadSigningKey() {
   try {
-    socket.write(`${JSON.stringify(payload)}\n`);
+    const existing = fs.readFileSync(config.signingKeyFile, "utf8").trim();
+    if (/^[0-9a-f]{64}$/i.test(existing)) {
+      return Buffer.from(existing, "hex");
+    }
+    throw new Error(`invalid signing key in ${config.signingKeyFile}`);
   } catch (err) {
-    writeLog("sendJson failed", { error: err.message }, "warn");
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
   }
+  const key = crypto.randomBytes(32);
+  fs.writeFileSync(config.signingKeyFile, `${key.toString("hex")}\n`, { mode: 0o600 });
+  writeLog("generated envelope signing key", { signingKeyFile: config.signingKeyFile });
+  return key;
 }
 
-function canRoute(fromClientId, toClientId) {
-  const sender = clientsById.get(fromClientId);
-  if (!sender) {
-    return false;
+const signingMasterKey = loadSigningKey();
+
+function recipientSigningKey(clientId) {
+  return crypto.createHmac("sha256", signingMasterKey).update(`envelope-signing:${clientId}`).digest();
+}
+
+function signingInfo(clientId) {
+  const key = recipientSigningKey(clientId);
+  return { alg: "HMAC-SHA256", keyId: sha256(key.toString("hex")).slice(0, 16), key: key.toString("hex") };
+}
+
+// Keep in sync with canonicalEnvelope in bridge/client.js.
+function canonicalEnvelope(envelope) {
+  return JSON.stringify([
+    "v1",
+    envelope.id,
+    envelope.from,
+    envelope.to === undefined ? null : envelope.to,
+    envelope.topic === undefined ? null : envelope.topic,
+    envelope.type,
+    envelope.correlationId === undefined ? null : envelope.correlationId,
+    sha256(JSON.stringify(envelope.payload === undefined ? null : envelope.payload)),
+    envelope.ts,
+  ]);
+}
+
+function signEnvelopeFor(clientId, envelope) {
+  const key = recipientSigningKey(clientId);
+  const signature = {
+    alg: "HMAC-SHA256",
+    keyId: sha256(key.toString("hex")).slice(0, 16),
+    value: crypto.createHmac("sha256", key).update(canonicalEnvelope(envelope)).digest("hex"),
+  };
+  return Object.assign({}, envelope, { signature });
+}
+
+const clientsById = new Map(config.clients.map((c) => [c.id, c]));
+const clientAcls = new Map();
+
+// Effective ACL per client: its own lists plus those of every group it belongs to.
+function rebuildClientAcls() {
+  clientAcls.clear();
+  for (const client of config.clients) {
+    const memberOf = Object.entries(config.groups)
+      .filter(([name, group]) => client.groups.includes(name) || group.members.some((member) => matchesPattern(member, client.id)))
+      .map(([name]) => name);
+    const acl = {
+      groups: memberOf,
+      canSendTo: client.canSendTo.slice(),
+      canPublish: client.canPublish.slice(),
+      canSubscribe: client.canSubscribe.slice(),
+    };
+    for (const name of memberOf) {
+      const group = config.groups[name];
+      acl.canSendTo.push(...group.canSendTo);
+      acl.canPublish.push(...group.canPublish);
+      acl.canSubscribe.push(...group.canSubscribe);
+    }
+    clientAcls.set(client.id, acl);
+  }
+}
+
+rebuildClientAcls();
+
+// During a rotation grace window the replaced key stays in previousKeys until expiresAt.
+function matchClientKey(client, apiKey) {
+  if (safeCompareHash(apiKey, client.keySha256)) {
+    return client.keySha256;
   }
-  if (sender.canSendTo.includes("*")) {
+  const now = Date.now();
+  const previous = client.previousKeys.find((entry) => Date.parse(entry.expiresAt) > now && safeCompareHash(apiKey, entry.keySha256));
+  return previous ? previous.keySha256 : null;
+}
+
+function acceptsKeyHash(client, keySha256) {
+  if (client.keySha256 === keySha256) {
     return true;
   }
-  return sender.canSendTo.includes(toClientId);
+  const now = Date.now();
+  return client.previousKeys.some((entry) => entry.keySha256 === keySha256 && Date.parse(entry.expiresAt) > now);
 }
 
-function registerConnection(clientId, connState) {
-  if (!activeConnections.has(clientId)) {
-    activeConnections.set(clientId, new Set());
+function normalizeFingerprint(value) {
+  return String(value || "").replace(/:/g, "").toLowerCase();
+}
+
+// A TLS client certificate names a client through its pinned certSha256 when set,
+// otherwise through a subject CN equal to the client id.
+function certMatchesClient(client, cert) {
+  if (!cert || !cert.fingerprint256) {
+    return false;
   }
-  activeConnections.get(clientId).add(connState);
+  if (client.certSha256) {
+    return normalizeFingerprint(cert.fingerprint256) === client.certSha256;
+  }
+  return Boolean(cert.subject) && cert.subject.CN === client.id;
 }
 
-function unregisterConnection(clientId, connState) {
-  if (!activeConnections.has(clientId)) {
-    return;
+// UNIX socket clients authenticate with apiKey. TLS clients also need a certificate
+// that maps to the claimed id, and may skip apiKey when the client sets tlsAuth "cert".
+function socketCredential(client, connState, msg) {
+  if (connState.transport === "tls" && !certMatchesClient(client, connState.peerCert)) {
+    return null;
   }
-  const set = activeConnections.get(clientId);
-  set.delete(connState);
-  if (set.size === 0) {
-    activeConnections.delete(clientId);
+  if (connState.transport === "tls" && client.tlsAuth === "cert" && !msg.apiKey) {
+    return { keySha256: null, via: "cert" };
   }
+  const keySha256 = matchClientKey(client, msg.apiKey || "");
+  if (!keySha256) {
+    return null;
+  }
+  return { keySha256, via: connState.transport === "tls" ? "cert+key" : "key" };
 }
 
-function deliverEnvelope(envelope) {
-  const recipients = activeConnections.get(envelope.to);
-  if (!recipients || recipients.size === 0) {
-    const queue = getQueue(envelope.to);
-    queue.push(envelope);
-    if (queue.length > config.queueLimit) {
-      queue.shift();
-    }
-    pushRuntimeEvent("warn", "bridge.route", `queued message for ${envelope.to}`, {
-      from: envelope.from,
-      to: envelope.to,
-      type: envelope.type,
-      envelopeId: envelope.id,
-    });
-    return { deliveredTo: 0, queued: true };
+const activeConnections = new Map();
+const pendingQueues = new Map();
+const inflightByClient = new Map();
+const deliveryAttempts = new Map();
+const deadLetters = new Map();
+const pendingRequests = new Map();
+const topicSubscribers = new Map();
+const roundRobinCursors = new Map();
+const scheduleWheel = new Map();
+const clientActivity = new Map();
+const authFailures = new Map();
+const authFailureLog = [];
+const adminSessions = new Map();
+const SESSION_COOKIE = "bridge_session";
+const AUTH_ALERT_WINDOW_MS = 5 * 60 * 1000;
+const SCHEDULE_TICK_MS = 1000;
+const KEY_EXPIRY_SWEEP_MS = 60 * 1000;
+
+function getQueue(clientId) {
+  if (!pendingQueues.has(clientId)) {
+    pendingQueues.set(clientId, []);
   }
+  return pendingQueues.get(clientId);
+}
 
-  for (const conn of recipients) {
-    sendJson(conn.socket, { action: "message", envelope });
+// Each queue is kept ordered by priority lane (high, normal, low) and FIFO within a
+// lane, so flushQueue drains control messages ahead of a bulk backlog.
+const PRIORITY_LANES = ["high", "normal", "low"];
+
+function priorityRank(envelope) {
+  const idx = PRIORITY_LANES.indexOf(envelope.priority);
+  return idx === -1 ? PRIORITY_LANES.indexOf("normal") : idx;
+}
+
+function enqueueByPriority(queue, envelope, options = {}) {
+  const rank = priorityRank(envelope);
+  let idx = options.front
+    ? queue.findIndex((item) => priorityRank(item) >= rank)
+    : queue.findIndex((item) => priorityRank(item) > rank);
+  if (idx === -1) {
+    idx = queue.length;
   }
-  pushRuntimeEvent("info", "bridge.route", `delivered message to ${envelope.to}`, {
-    from: envelope.from,
-    to: envelope.to,
-    type: envelope.type,
-    envelopeId: envelope.id,
-    recipients: recipients.size,
-  });
-  return { deliveredTo: recipients.size, queued: false };
+  queue.splice(idx, 0, envelope);
 }
 
-function flushQueue(clientId, socket) {
-  const queue = getQueue(clientId);
-  if (queue.length === 0) {
-    return 0;
+function evictForOverflow(queue) {
+  let victim = 0;
+  for (let idx = 1; idx < queue.length; idx += 1) {
+    if (priorityRank(queue[idx]) > priorityRank(queue[victim])) {
+      victim = idx;
+    }
   }
+  return queue.splice(victim, 1)[0];
+}
 
-  let delivered = 0;
-  while (queue.length > 0) {
-    const envelope = queue.shift();
-    sendJson(socket, { action: "message", envelope });
-    delivered += 1;
+// Queued envelopes are journaled to config.queueFile as append-only JSONL records
+// ({op:"enqueue"} / {op:"remove"}) so they survive restarts. The journal is
+// rewritten with only the live entries once it accumulates enough stale records.
+// It holds full payloads, so it is kept owner-only like signing.key.
+const queueJournal = {
+  records: 0,
+};
+
+// Files created by earlier versions keep the umask default until tightened here.
+function restrictFileMode(filePath) {
+  try {
+    fs.chmodSync(filePath, 0o600);
+  } catch (err) {
+    writeLog("failed to restrict file mode", { filePath, error: err.message }, "warn");
   }
-  return delivered;
 }
 
-function parseJsonOrNull(line) {
+function appendQueueJournal(record) {
   try {
-    return JSON.parse(line);
-  } catch {
-    return null;
+    fs.appendFileSync(config.queueFile, `${JSON.stringify(Object.assign({ ts: nowIso() }, record))}\n`, { mode: 0o600 });
+    queueJournal.records += 1;
+  } catch (err) {
+    writeLog("failed to append queue journal", { error: err.message, op: record.op }, "error");
   }
 }
 
-function socketPeer(socket) {
-  return `${socket.remoteAddress || "local"}:${socket.remotePort || "-"}`;
+function journaledEnvelopeCount() {
+  let total = 0;
+  for (const queue of pendingQueues.values()) {
+    total += queue.length;
+  }
+  for (const inflight of inflightByClient.values()) {
+    total += inflight.size;
+  }
+  for (const bucket of scheduleWheel.values()) {
+    total += bucket.size;
+  }
+  return total;
 }
 
-if (fs.existsSync(config.socketPath)) {
+function compactQueueJournal() {
+  const tmpPath = `${config.queueFile}.${process.pid}.tmp`;
+  const lines = [];
+  for (const [clientId, queue] of pendingQueues.entries()) {
+    for (const envelope of queue) {
+      lines.push(JSON.stringify({ ts: nowIso(), op: "enqueue", clientId, envelope }));
+    }
+  }
+  for (const [clientId, inflight] of inflightByClient.entries()) {
+    for (const entry of inflight.values()) {
+      lines.push(JSON.stringify({ ts: nowIso(), op: "enqueue", clientId, envelope: entry.envelope }));
+    }
+  }
+  for (const bucket of scheduleWheel.values()) {
+    for (const envelope of bucket.values()) {
+      lines.push(JSON.stringify({ ts: nowIso(), op: "schedule", clientId: envelope.to, envelope }));
+    }
+  }
   try {
-    fs.unlinkSync(config.socketPath);
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join("\n")}\n` : "", { mode: 0o600 });
+    fs.renameSync(tmpPath, config.queueFile);
+    queueJournal.records = lines.length;
   } catch (err) {
-    writeLog("failed to remove stale socket", { error: err.message }, "warn");
+    writeLog("failed to compact queue journal", { error: err.message }, "error");
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch {
+      // ignore
+    }
   }
 }
 
-const socketServer = net.createServer((socket) => {
-  const connState = {
-    socket,
-    buffer: "",
-    authed: false,
-    clientId: null,
-    connectedAt: Date.now(),
-  };
-
-  writeLog("socket client connected", { peer: socketPeer(socket) });
-
-  socket.on("data", (chunk) => {
-    connState.buffer += chunk.toString("utf8");
+function maybeCompactQueueJournal() {
+  const threshold = Math.max(1, toNumber(config.queueCompactThreshold, 1000) || 1000);
+  if (queueJournal.records - journaledEnvelopeCount() >= threshold) {
+    compactQueueJournal();
+  }
+}
 
-    if (Buffer.byteLength(connState.buffer, "utf8") > config.maxMessageBytes * 2) {
-      sendJson(socket, { action: "error", error: "buffer_exceeded" });
-      socket.destroy();
-      return;
+function loadQueueJournal() {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(config.queueFile, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      writeLog("failed to read queue journal", { error: err.message }, "error");
     }
+    return 0;
+  }
+  restrictFileMode(config.queueFile);
 
-    while (true) {
+  let skipped = 0;
+  const scheduled = new Map();
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    const record = parseJsonOrNull(line);
+    if (!record || !record.clientId) {
+      skipped += 1;
+      continue;
+    }
+    if (record.op === "enqueue" && record.envelope) {
+      enqueueByPriority(getQueue(record.clientId), record.envelope);
+    } else if (record.op === "schedule" && record.envelope) {
+      scheduled.set(deliveryKey(record.clientId, record.envelope.id), record.envelope);
+    } else if (record.op === "remove") {
+      if (scheduled.delete(deliveryKey(record.clientId, record.envelopeId))) {
+        continue;
+      }
+      const queue = getQueue(record.clientId);
+      const idx = queue.findIndex((envelope) => envelope.id === record.envelopeId);
+      if (idx !== -1) {
+        queue.splice(idx, 1);
+      }
+    } else {
+      skipped += 1;
+    }
+  }
+
+  for (const [clientId, queue] of pendingQueues.entries()) {
+    if (!clientsById.has(clientId)) {
+      if (queue.length > 0) {
+        writeLog("dropping journaled queue for unknown client", { clientId, count: queue.length }, "warn");
+      }
+      pendingQueues.delete(clientId);
+      continue;
+    }
+    while (queue.length > config.queueLimit) {
+      deadLetterEnvelope(clientId, evictForOverflow(queue), "overflow");
+    }
+    if (queue.length === 0) {
+      pendingQueues.delete(clientId);
+    }
+  }
+
+  for (const envelope of scheduled.values()) {
+    if (!clientsById.has(envelope.to)) {
+      writeLog("dropping journaled scheduled envelope for unknown client", { clientId: envelope.to, envelopeId: envelope.id }, "warn");
+      continue;
+    }
+    scheduleEnvelope(envelope, { journaled: true });
+  }
+
+  compactQueueJournal();
+  if (skipped > 0) {
+    writeLog("skipped unreadable queue journal records", { skipped }, "warn");
+  }
+  return journaledEnvelopeCount();
+}
+
+// Envelopes that overflow a queue, expire or exhaust their delivery attempts are
+// kept per client in config.deadLetterFile (one entry per line) for inspection
+// and replay through /api/dlq. New entries are appended; entries trimmed past
+// deadLetterLimit stay in the file until it holds deadLetterLimit stale lines,
+// then the store is rewritten with only the live entries.
+const deadLetterStore = {
+  records: 0,
+};
+
+function deadLetterLimit() {
+  return Math.max(1, toNumber(config.deadLetterLimit, 1000) || 1000);
+}
+
+function deadLetterCount() {
+  let total = 0;
+  for (const list of deadLetters.values()) {
+    total += list.length;
+  }
+  return total;
+}
+
+function getDeadLetters(clientId) {
+  if (!deadLetters.has(clientId)) {
+    deadLetters.set(clientId, []);
+  }
+  return deadLetters.get(clientId);
+}
+
+function persistDeadLetters() {
+  const tmpPath = `${config.deadLetterFile}.${process.pid}.tmp`;
+  const lines = [];
+  for (const list of deadLetters.values()) {
+    for (const entry of list) {
+      lines.push(JSON.stringify(entry));
+    }
+  }
+  try {
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join("\n")}\n` : "", { mode: 0o600 });
+    fs.renameSync(tmpPath, config.deadLetterFile);
+    deadLetterStore.records = lines.length;
+  } catch (err) {
+    writeLog("failed to write dead-letter store", { error: err.message }, "error");
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch {
+      // ignore
+    }
+  }
+}
+
+function maybeCompactDeadLetters() {
+  if (deadLetterStore.records - deadLetterCount() >= deadLetterLimit()) {
+    persistDeadLetters();
+  }
+}
+
+function loadDeadLetters() {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(config.deadLetterFile, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      writeLog("failed to read dead-letter store", { error: err.message }, "error");
+    }
+    return 0;
+  }
+  restrictFileMode(config.deadLetterFile);
+
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    deadLetterStore.records += 1;
+    const entry = parseJsonOrNull(line);
+    if (!entry || !entry.id || !entry.clientId || !entry.envelope) {
+      continue;
+    }
+    getDeadLetters(entry.clientId).push(entry);
+  }
+  for (const list of deadLetters.values()) {
+    if (list.length > deadLetterLimit()) {
+      list.splice(0, list.length - deadLetterLimit());
+    }
+  }
+  maybeCompactDeadLetters();
+  return deadLetterCount();
+}
+
+function deadLetterEnvelope(clientId, envelope, reason, details = {}) {
+  const entry = {
+    id: randomId("dlq"),
+    clientId,
+    reason,
+    deadAt: nowIso(),
+    attempts: toNumber(details.attempts, 0) || 0,
+    envelope,
+  };
+  const list = getDeadLetters(clientId);
+  list.push(entry);
+  appendAudit("dead_letter", Object.assign(auditEnvelope(envelope), { recipient: clientId, dlqId: entry.id, reason }));
+  if (list.length > deadLetterLimit()) {
+    list.splice(0, list.length - deadLetterLimit());
+  }
+  // Called from ack timers and the socket handler; a disk error must not take the daemon down.
+  try {
+    fs.appendFileSync(config.deadLetterFile, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    deadLetterStore.records += 1;
+  } catch (err) {
+    writeLog("failed to append dead-letter store", { error: err.message, dlqId: entry.id }, "error");
+  }
+  maybeCompactDeadLetters();
+
+  pushRuntimeEvent("warn", "bridge.dlq", `dead-lettered message for ${clientId} (${reason})`, {
+    dlqId: entry.id,
+    from: envelope.from,
+    to: clientId,
+    type: envelope.type,
+    envelopeId: envelope.id,
+    reason,
+    attempts: entry.attempts,
+  });
+  return entry;
+}
+
+function findDeadLetter(dlqId) {
+  for (const [clientId, list] of deadLetters.entries()) {
+    const idx = list.findIndex((entry) => entry.id === dlqId);
+    if (idx !== -1) {
+      return { clientId, list, idx, entry: list[idx] };
+    }
+  }
+  return null;
+}
+
+function selectDeadLetters(input) {
+  const dlqId = String(input.id || "").trim();
+  const clientId = String(input.clientId || "").trim();
+  if (dlqId) {
+    const found = findDeadLetter(dlqId);
+    return found ? { ok: true, entries: [found.entry] } : { ok: false, error: "dlq_entry_not_found" };
+  }
+  if (clientId) {
+    return { ok: true, entries: (deadLetters.get(clientId) || []).slice() };
+  }
+  return { ok: false, error: "id_or_clientId_required" };
+}
+
+function removeDeadLetters(entries) {
+  const ids = new Set(entries.map((entry) => entry.id));
+  for (const [clientId, list] of Array.from(deadLetters.entries())) {
+    const kept = list.filter((entry) => !ids.has(entry.id));
+    if (kept.length === 0) {
+      deadLetters.delete(clientId);
+    } else {
+      deadLetters.set(clientId, kept);
+    }
+  }
+  persistDeadLetters();
+}
+
+function deadLetterSummary(entry) {
+  return {
+    id: entry.id,
+    clientId: entry.clientId,
+    reason: entry.reason,
+    deadAt: entry.deadAt,
+    attempts: entry.attempts,
+    envelopeId: entry.envelope.id,
+    from: entry.envelope.from,
+    type: entry.envelope.type,
+    ts: entry.envelope.ts,
+  };
+}
+
+function listDeadLetters(clientId) {
+  const depth = {};
+  for (const [id, list] of deadLetters.entries()) {
+    depth[id] = list.length;
+  }
+  const source = clientId ? deadLetters.get(clientId) || [] : Array.from(deadLetters.values()).flat();
+  return {
+    ts: nowIso(),
+    depth,
+    total: Object.values(depth).reduce((sum, value) => sum + value, 0),
+    items: source.map(deadLetterSummary),
+  };
+}
+
+function purgeDeadLetters(input) {
+  const selected = selectDeadLetters(input);
+  if (!selected.ok) {
+    return selected;
+  }
+  removeDeadLetters(selected.entries);
+  pushRuntimeEvent("warn", "bridge.dlq", `purged ${selected.entries.length} dead letter(s)`, {
+    id: input.id || null,
+    clientId: input.clientId || null,
+    purged: selected.entries.length,
+  });
+  return { ok: true, purged: selected.entries.length };
+}
+
+function replayDeadLetters(input) {
+  const selected = selectDeadLetters(input);
+  if (!selected.ok) {
+    return selected;
+  }
+
+  const replayed = [];
+  const failed = [];
+  for (const entry of selected.entries) {
+    if (!clientsById.has(entry.envelope.to)) {
+      failed.push({ id: entry.id, error: "unknown_target" });
+      continue;
+    }
+    if (envelopeIdInUse(entry.envelope.to, entry.envelope.id)) {
+      failed.push({ id: entry.id, error: "duplicate_id" });
+      continue;
+    }
+    deliveryAttempts.delete(deliveryKey(entry.envelope.to, entry.envelope.id));
+    // An operator replay is an explicit decision to deliver, so the old expiry no longer applies.
+    const envelope = Object.assign({}, entry.envelope);
+    delete envelope.expiresAt;
+    const routed = deliverEnvelope(envelope);
+    replayed.push({ id: entry.id, envelopeId: entry.envelope.id, to: entry.envelope.to, routed });
+  }
+
+  const replayedIds = new Set(replayed.map((item) => item.id));
+  removeDeadLetters(selected.entries.filter((entry) => replayedIds.has(entry.id)));
+  pushRuntimeEvent("info", "bridge.dlq", `replayed ${replayed.length} dead letter(s)`, {
+    id: input.id || null,
+    clientId: input.clientId || null,
+    replayed: replayed.length,
+    failed: failed.length,
+  });
+  return { ok: failed.length === 0, replayed, failed };
+}
+
+function setSocketMode(socketPath, modeText) {
+  try {
+    const mode = Number.parseInt(modeText, 8);
+    if (!Number.isNaN(mode)) {
+      fs.chmodSync(socketPath, mode);
+    }
+  } catch (err) {
+    writeLog("failed to chmod socket", { socketPath, error: err.message }, "warn");
+  }
+}
+
+function sendJson(socket, payload) {
+  try {
+    socket.write(`${JSON.stringify(payload)}\n`);
+  } catch (err) {
+    writeLog("sendJson failed", { error: err.message }, "warn");
+  }
+}
+
+function payloadCommand(payload) {
+  const command = asObject(payload).command;
+  return typeof command === "string" && command ? command : null;
+}
+
+function checkRouteRule(rule, message) {
+  if (typeof rule === "string") {
+    return null;
+  }
+  if (Array.isArray(rule.types) && !rule.types.includes("*") && !rule.types.includes(message.type)) {
+    return "type_not_allowed";
+  }
+  if (Array.isArray(rule.commands) && !rule.commands.includes("*")) {
+    const command = payloadCommand(message.payload);
+    if (!command) {
+      // An --e2e payload hides its command from the bridge, so it can never match.
+      return asObject(message.payload).e2e === "v1" ? "command_hidden_by_e2e" : "command_missing";
+    }
+    if (!rule.commands.includes(command)) {
+      return "command_not_allowed";
+    }
+  }
+  return null;
+}
+
+// Returns { allowed, reason }. A message is allowed when any canSendTo entry for the
+// target accepts its type and payload.command; otherwise the reason comes from the
+// closest matching rule.
+function routeTargetMatches(target, toClientId) {
+  if (target.startsWith("@")) {
+    const acl = clientAcls.get(toClientId);
+    return Boolean(acl) && acl.groups.includes(target.slice(1));
+  }
+  return matchesPattern(target, toClientId);
+}
+
+function canRoute(fromClientId, toClientId, message = {}) {
+  const acl = clientAcls.get(fromClientId);
+  if (!acl) {
+    return { allowed: false, reason: "unknown_sender" };
+  }
+
+  let reason = "target_not_allowed";
+  for (const rule of acl.canSendTo) {
+    const target = typeof rule === "string" ? rule : rule.to;
+    if (!routeTargetMatches(target, toClientId)) {
+      continue;
+    }
+    const denied = checkRouteRule(rule, message);
+    if (!denied) {
+      return { allowed: true, reason: null };
+    }
+    reason = denied;
+  }
+  return { allowed: false, reason };
+}
+
+function recordRouteDenied(fromClientId, toClientId, message, reason) {
+  pushRuntimeEvent("warn", "bridge.acl", `route denied ${fromClientId} -> ${toClientId} (${reason})`, {
+    from: fromClientId,
+    to: toClientId,
+    type: message.type || null,
+    command: payloadCommand(message.payload),
+    reason,
+  });
+}
+
+// Credential shapes that must never travel through the bridge (README safety rules).
+// Order matters: the first matching kind labels a string.
+const SECRET_PATTERNS = [
+  { kind: "private_key", re: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g },
+  { kind: "anthropic_api_key", re: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { kind: "openai_api_key", re: /\bsk-(?!ant-)(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+  { kind: "google_api_key", re: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { kind: "google_oauth_token", re: /\bya29\.[0-9A-Za-z_-]{20,}/g },
+  { kind: "jwt", re: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { kind: "bearer_token", re: /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/gi },
+];
+
+// Walks string values (and object keys) of a payload, returning where credential
+// shapes were found plus a copy with each match replaced by [REDACTED:<kind>].
+function scanSecrets(value, pathLabel = "payload", findings = []) {
+  if (typeof value === "string") {
+    let redacted = value;
+    for (const { kind, re } of SECRET_PATTERNS) {
+      redacted = redacted.replace(re, () => {
+        findings.push({ path: pathLabel, kind });
+        return `[REDACTED:${kind}]`;
+      });
+    }
+    return { findings, value: redacted };
+  }
+  if (Array.isArray(value)) {
+    return { findings, value: value.map((item, index) => scanSecrets(item, `${pathLabel}[${index}]`, findings).value) };
+  }
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+      const safeKey = scanSecrets(key, `${pathLabel}.<key>`, findings).value;
+      out[safeKey] = scanSecrets(item, `${pathLabel}.${key}`, findings).value;
+    }
+    return { findings, value: out };
+  }
+  return { findings, value };
+}
+
+// Applies the secretScan policy to an outgoing payload. Returns the payload to route
+// (redacted under "redact") or a secret_detected error under "block".
+function inspectPayload(payload, context) {
+  if (config.secretScan === "off") {
+    return { ok: true, payload };
+  }
+  const scanned = scanSecrets(payload);
+  if (scanned.findings.length === 0) {
+    return { ok: true, payload };
+  }
+  const kinds = Array.from(new Set(scanned.findings.map((finding) => finding.kind)));
+  const paths = Array.from(new Set(scanned.findings.map((finding) => finding.path))).slice(0, 20);
+  const blocked = config.secretScan === "block";
+  const details = Object.assign({}, context, { policy: config.secretScan, kinds, paths });
+  pushRuntimeEvent(
+    "warn",
+    "security.secret_blocked",
+    `${blocked ? "blocked" : "redacted"} ${kinds.join(", ")} in payload from ${context.from}`,
+    details,
+  );
+  appendAudit("security.secret_blocked", details);
+  if (blocked) {
+    return { ok: false, error: "secret_detected", kinds };
+  }
+  return { ok: true, payload: scanned.value, redacted: kinds };
+}
+
+function topicAllowed(list, topic) {
+  return list.some((pattern) => matchesPattern(pattern, topic));
+}
+
+function canPublish(clientId, topic) {
+  const acl = clientAcls.get(clientId);
+  return Boolean(acl) && topicAllowed(acl.canPublish, topic);
+}
+
+function canSubscribe(clientId, topic) {
+  const acl = clientAcls.get(clientId);
+  return Boolean(acl) && topicAllowed(acl.canSubscribe, topic);
+}
+
+function subscribeTopic(connState, topic) {
+  if (!topicSubscribers.has(topic)) {
+    topicSubscribers.set(topic, new Set());
+  }
+  topicSubscribers.get(topic).add(connState);
+  connState.topics.add(topic);
+}
+
+function unsubscribeTopic(connState, topic) {
+  connState.topics.delete(topic);
+  const subscribers = topicSubscribers.get(topic);
+  if (!subscribers) {
+    return;
+  }
+  subscribers.delete(connState);
+  if (subscribers.size === 0) {
+    topicSubscribers.delete(topic);
+  }
+}
+
+// Topic messages are fanned out to the connections subscribed right now; they are
+// not queued for offline clients and are not ack-tracked.
+function publishEnvelope(envelope) {
+  const subscribers = topicSubscribers.get(envelope.topic);
+  const recipients = subscribers ? Array.from(subscribers) : [];
+  for (const conn of recipients) {
+    sendJson(conn.socket, { action: "message", envelope: signEnvelopeFor(conn.clientId, envelope) });
+  }
+  pushRuntimeEvent("info", "bridge.topic", `published to ${envelope.topic}`, {
+    from: envelope.from,
+    topic: envelope.topic,
+    type: envelope.type,
+    envelopeId: envelope.id,
+    recipients: recipients.length,
+  });
+  return { deliveredTo: recipients.length };
+}
+
+function registerConnection(clientId, connState) {
+  if (!activeConnections.has(clientId)) {
+    activeConnections.set(clientId, new Set());
+  }
+  activeConnections.get(clientId).add(connState);
+}
+
+function unregisterConnection(clientId, connState) {
+  if (!activeConnections.has(clientId)) {
+    return;
+  }
+  const set = activeConnections.get(clientId);
+  set.delete(connState);
+  if (set.size === 0) {
+    activeConnections.delete(clientId);
+  }
+}
+
+function deliveryKey(clientId, envelopeId) {
+  return `${clientId}\u0000${envelopeId}`;
+}
+
+function getInflight(clientId) {
+  if (!inflightByClient.has(clientId)) {
+    inflightByClient.set(clientId, new Map());
+  }
+  return inflightByClient.get(clientId);
+}
+
+// Envelope ids key ack tracking and journal removal per recipient, so a caller-chosen
+// id may not repeat one that is still queued, in flight or scheduled for that client.
+function envelopeIdInUse(clientId, envelopeId) {
+  if (getQueue(clientId).some((envelope) => envelope.id === envelopeId) || getInflight(clientId).has(envelopeId)) {
+    return true;
+  }
+  const key = deliveryKey(clientId, envelopeId);
+  return Array.from(scheduleWheel.values()).some((bucket) => bucket.has(key));
+}
+
+function envelopeIdError(clientId, envelopeId) {
+  if (envelopeId === undefined || envelopeId === null) {
+    return null;
+  }
+  if (typeof envelopeId !== "string" || !envelopeId || envelopeId.length > 128) {
+    return "invalid_id";
+  }
+  return envelopeIdInUse(clientId, envelopeId) ? "duplicate_id" : null;
+}
+
+// With `delivery: "round_robin"` or `"least_busy"` the connections of one client id
+// form a consumer group and each envelope goes to exactly one of them. least_busy
+// picks the connection with the fewest unacked envelopes, so it needs `acks: true`.
+function selectRecipients(clientId, conns) {
+  const client = clientsById.get(clientId);
+  const mode = client ? client.delivery : "broadcast";
+  if (mode === "broadcast" || conns.length <= 1) {
+    return conns;
+  }
+
+  const cursor = roundRobinCursors.get(clientId) || 0;
+  roundRobinCursors.set(clientId, (cursor + 1) % conns.length);
+  const rotated = conns.map((_, idx) => conns[(cursor + idx) % conns.length]);
+  if (mode === "least_busy") {
+    let best = rotated[0];
+    for (const conn of rotated) {
+      if (conn.inflight < best.inflight) {
+        best = conn;
+      }
+    }
+    return [best];
+  }
+  return [rotated[0]];
+}
+
+function detachInflightEntry(entry) {
+  clearTimeout(entry.timer);
+  for (const conn of entry.conns) {
+    conn.inflight = Math.max(0, conn.inflight - 1);
+  }
+  entry.conns.clear();
+}
+
+function ackingConnections(clientId) {
+  return Array.from(activeConnections.get(clientId) || []).filter((conn) => conn.acks);
+}
+
+// Connections that authenticated with `acks: true` must answer every message with
+// {action:"ack", id}. Until then the envelope stays journaled and in flight; it is
+// redelivered after config.ackTimeoutMs and given up after config.maxDeliveryAttempts.
+function sendEnvelope(clientId, envelope, conns, options = {}) {
+  appendAudit("deliver", Object.assign(auditEnvelope(envelope), { recipient: clientId, connections: conns.length }));
+  const ackConns = conns.filter((conn) => conn.acks);
+  const signed = signEnvelopeFor(clientId, envelope);
+  for (const conn of conns) {
+    if (!conn.acks) {
+      sendJson(conn.socket, { action: "message", envelope: signed });
+    }
+  }
+
+  if (ackConns.length === 0) {
+    if (options.journaled) {
+      appendQueueJournal({ op: "remove", clientId, envelopeId: envelope.id, reason: "delivered" });
+    }
+    return;
+  }
+
+  const key = deliveryKey(clientId, envelope.id);
+  const attempt = (deliveryAttempts.get(key) || 0) + 1;
+  deliveryAttempts.set(key, attempt);
+  for (const conn of ackConns) {
+    sendJson(conn.socket, { action: "message", envelope: signed, attempt, ackRequired: true });
+  }
+
+  if (!options.journaled) {
+    appendQueueJournal({ op: "enqueue", clientId, envelope });
+  }
+
+  const inflight = getInflight(clientId);
+  const previous = inflight.get(envelope.id);
+  if (previous) {
+    detachInflightEntry(previous);
+  }
+  for (const conn of ackConns) {
+    conn.inflight += 1;
+  }
+  const entry = {
+    envelope,
+    conns: new Set(ackConns),
+    sentAt: Date.now(),
+    timer: null,
+  };
+  entry.timer = setTimeout(() => handleAckTimeout(clientId, envelope.id), Math.max(1000, toNumber(config.ackTimeoutMs, 30000) || 30000));
+  inflight.set(envelope.id, entry);
+}
+
+function settleInflight(clientId, envelopeId, reason) {
+  const inflight = inflightByClient.get(clientId);
+  const entry = inflight ? inflight.get(envelopeId) : null;
+  if (!entry) {
+    return null;
+  }
+  detachInflightEntry(entry);
+  inflight.delete(envelopeId);
+  if (inflight.size === 0) {
+    inflightByClient.delete(clientId);
+  }
+  deliveryAttempts.delete(deliveryKey(clientId, envelopeId));
+  appendQueueJournal({ op: "remove", clientId, envelopeId, reason });
+  maybeCompactQueueJournal();
+  return entry;
+}
+
+function redeliverOrRequeue(clientId, envelope) {
+  const ackConns = ackingConnections(clientId);
+  if (ackConns.length > 0) {
+    sendEnvelope(clientId, envelope, selectRecipients(clientId, ackConns), { journaled: true });
+    return "redelivered";
+  }
+  enqueueByPriority(getQueue(clientId), envelope, { front: true });
+  return "requeued";
+}
+
+function handleAckTimeout(clientId, envelopeId) {
+  const inflight = inflightByClient.get(clientId);
+  const entry = inflight ? inflight.get(envelopeId) : null;
+  if (!entry) {
+    return;
+  }
+
+  const attempts = deliveryAttempts.get(deliveryKey(clientId, envelopeId)) || 0;
+  const maxAttempts = Math.max(1, toNumber(config.maxDeliveryAttempts, 5) || 5);
+  if (attempts >= maxAttempts) {
+    settleInflight(clientId, envelopeId, "max_attempts");
+    deadLetterEnvelope(clientId, entry.envelope, "max_attempts", { attempts });
+    return;
+  }
+  if (isExpired(entry.envelope)) {
+    settleInflight(clientId, envelopeId, "expired");
+    discardExpired(clientId, entry.envelope);
+    return;
+  }
+
+  detachInflightEntry(entry);
+  inflight.delete(envelopeId);
+  if (inflight.size === 0) {
+    inflightByClient.delete(clientId);
+  }
+  const outcome = redeliverOrRequeue(clientId, entry.envelope);
+  pushRuntimeEvent("warn", "bridge.route", `ack timeout for message to ${clientId}`, {
+    from: entry.envelope.from,
+    to: clientId,
+    type: entry.envelope.type,
+    envelopeId,
+    attempts,
+    outcome,
+  });
+}
+
+function releaseInflight(connState) {
+  const inflight = inflightByClient.get(connState.clientId);
+  if (!inflight) {
+    return 0;
+  }
+
+  let released = 0;
+  for (const [envelopeId, entry] of Array.from(inflight.entries())) {
+    if (!entry.conns.delete(connState) || entry.conns.size > 0) {
+      continue;
+    }
+    detachInflightEntry(entry);
+    inflight.delete(envelopeId);
+    redeliverOrRequeue(connState.clientId, entry.envelope);
+    released += 1;
+  }
+  if (inflight.size === 0) {
+    inflightByClient.delete(connState.clientId);
+  }
+  return released;
+}
+
+// `request` calls are tracked by caller and correlationId until the target answers
+// with a matching correlationId (via `response`, or `send` back to the caller). The
+// answer goes only to the originating connection; without one a synthetic timeout
+// error envelope is delivered at the deadline. Keys are scoped to the caller so one
+// client cannot see or claim another's correlationIds.
+function requestTimeoutFor(msg) {
+  const fallback = Math.max(1000, toNumber(config.requestTimeoutMs, 30000) || 30000);
+  const ceiling = Math.max(fallback, toNumber(config.maxRequestTimeoutMs, 300000) || 300000);
+  const requested = toNumber(msg.timeoutMs, null);
+  if (requested === null || requested <= 0) {
+    return fallback;
+  }
+  return Math.min(ceiling, Math.max(1000, requested));
+}
+
+function requestKey(callerId, correlationId) {
+  return `${callerId}:${correlationId}`;
+}
+
+function trackRequest(connState, envelope, timeoutMs) {
+  const key = requestKey(envelope.from, envelope.correlationId);
+  const pending = {
+    key,
+    correlationId: envelope.correlationId,
+    requestId: envelope.id,
+    from: envelope.from,
+    to: envelope.to,
+    connState,
+    startedAt: Date.now(),
+    deadline: new Date(Date.now() + timeoutMs).toISOString(),
+    timeoutMs,
+    timer: null,
+  };
+  pending.timer = setTimeout(() => expireRequest(key), timeoutMs);
+  pendingRequests.set(key, pending);
+  return pending;
+}
+
+// Without callerId (a bare `response`) the correlationId must name exactly one
+// request pending on this responder.
+function findPendingRequest(responderId, correlationId, callerId) {
+  if (callerId) {
+    const pending = pendingRequests.get(requestKey(callerId, correlationId));
+    return pending && pending.to === responderId ? { pending } : { error: "unknown_correlation" };
+  }
+  const matches = Array.from(pendingRequests.values()).filter(
+    (pending) => pending.correlationId === correlationId && pending.to === responderId
+  );
+  if (matches.length > 1) {
+    return { error: "ambiguous_correlation" };
+  }
+  return matches.length === 1 ? { pending: matches[0] } : { error: "unknown_correlation" };
+}
+
+function settleRequest(key) {
+  const pending = pendingRequests.get(key);
+  if (!pending) {
+    return null;
+  }
+  clearTimeout(pending.timer);
+  pendingRequests.delete(key);
+  return pending;
+}
+
+function routeResponse(pending, envelope) {
+  settleRequest(pending.key);
+  sendEnvelope(pending.from, envelope, [pending.connState], { journaled: false });
+  pushRuntimeEvent("info", "bridge.rpc", `response routed to ${pending.from}`, {
+    from: envelope.from,
+    to: pending.from,
+    envelopeId: envelope.id,
+    requestId: pending.requestId,
+    correlationId: pending.correlationId,
+    latencyMs: Date.now() - pending.startedAt,
+  });
+  return { deliveredTo: 1, queued: false };
+}
+
+function expireRequest(key) {
+  const pending = settleRequest(key);
+  if (!pending) {
+    return;
+  }
+  const correlationId = pending.correlationId;
+  const envelope = {
+    id: randomId("timeout"),
+    from: "bridge",
+    to: pending.from,
+    type: "error",
+    payload: {
+      error: "timeout",
+      requestId: pending.requestId,
+      target: pending.to,
+      timeoutMs: pending.timeoutMs,
+    },
+    correlationId,
+    ts: nowIso(),
+  };
+  sendEnvelope(pending.from, envelope, [pending.connState], { journaled: false });
+  pushRuntimeEvent("warn", "bridge.rpc", `request to ${pending.to} timed out`, {
+    from: pending.from,
+    to: pending.to,
+    requestId: pending.requestId,
+    correlationId,
+    timeoutMs: pending.timeoutMs,
+  });
+}
+
+function cancelRequestsFor(connState) {
+  let cancelled = 0;
+  for (const [key, pending] of Array.from(pendingRequests.entries())) {
+    if (pending.connState !== connState) {
+      continue;
+    }
+    settleRequest(key);
+    cancelled += 1;
+  }
+  return cancelled;
+}
+
+// Optional per-envelope timing: `ttlMs`/`expiresAt` bound how long an envelope may
+// wait in a queue, `deliverAt` holds it in the schedule wheel until due.
+function deliveryTiming(input) {
+  const nowMs = Date.now();
+  let expiresMs = null;
+  if (input.ttlMs !== undefined && input.ttlMs !== null) {
+    const ttlMs = toNumber(input.ttlMs, null);
+    if (ttlMs === null || ttlMs <= 0) {
+      return { ok: false, error: "invalid_ttlMs" };
+    }
+    expiresMs = nowMs + ttlMs;
+  }
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const parsed = Date.parse(String(input.expiresAt));
+    if (!Number.isFinite(parsed)) {
+      return { ok: false, error: "invalid_expiresAt" };
+    }
+    expiresMs = expiresMs === null ? parsed : Math.min(expiresMs, parsed);
+  }
+
+  let deliverMs = null;
+  if (input.deliverAt !== undefined && input.deliverAt !== null) {
+    const parsed = Date.parse(String(input.deliverAt));
+    if (!Number.isFinite(parsed)) {
+      return { ok: false, error: "invalid_deliverAt" };
+    }
+    if (parsed - nowMs > Math.max(0, toNumber(config.maxScheduleMs, 0) || 0)) {
+      return { ok: false, error: "deliverAt_too_far" };
+    }
+    deliverMs = parsed > nowMs ? parsed : null;
+  }
+
+  if (expiresMs !== null && expiresMs <= Math.max(nowMs, deliverMs || 0)) {
+    return { ok: false, error: "expires_before_delivery" };
+  }
+
+  return {
+    ok: true,
+    expiresAt: expiresMs === null ? null : new Date(expiresMs).toISOString(),
+    deliverAt: deliverMs === null ? null : new Date(deliverMs).toISOString(),
+  };
+}
+
+function applyPriority(envelope, input) {
+  if (input.priority === undefined || input.priority === null) {
+    return { ok: true };
+  }
+  if (!PRIORITY_LANES.includes(input.priority)) {
+    return { ok: false, error: "invalid_priority" };
+  }
+  envelope.priority = input.priority;
+  return { ok: true };
+}
+
+function applyDeliveryTiming(envelope, timing) {
+  if (timing.expiresAt) {
+    envelope.expiresAt = timing.expiresAt;
+  }
+  if (timing.deliverAt) {
+    envelope.deliverAt = timing.deliverAt;
+  }
+  return envelope;
+}
+
+function isExpired(envelope, nowMs = Date.now()) {
+  return Boolean(envelope.expiresAt) && Date.parse(envelope.expiresAt) <= nowMs;
+}
+
+function discardExpired(clientId, envelope) {
+  if (config.expiredEnvelopes === "drop") {
+    pushRuntimeEvent("warn", "bridge.route", `dropped expired message for ${clientId}`, {
+      from: envelope.from,
+      to: clientId,
+      type: envelope.type,
+      envelopeId: envelope.id,
+      expiresAt: envelope.expiresAt,
+    });
+    return;
+  }
+  deadLetterEnvelope(clientId, envelope, "expired");
+}
+
+function scheduleSlot(envelope) {
+  return Math.floor(Date.parse(envelope.deliverAt) / SCHEDULE_TICK_MS);
+}
+
+const scheduleState = {
+  cursor: Math.floor(Date.now() / SCHEDULE_TICK_MS),
+};
+
+function scheduleEnvelope(envelope, options = {}) {
+  if (Date.parse(envelope.deliverAt) <= Date.now()) {
+    const routed = deliverEnvelope(envelope);
+    if (options.journaled) {
+      appendQueueJournal({ op: "remove", clientId: envelope.to, envelopeId: envelope.id, reason: "due" });
+    }
+    return routed;
+  }
+
+  const slot = Math.max(scheduleSlot(envelope), scheduleState.cursor + 1);
+  if (!scheduleWheel.has(slot)) {
+    scheduleWheel.set(slot, new Map());
+  }
+  scheduleWheel.get(slot).set(deliveryKey(envelope.to, envelope.id), envelope);
+  if (!options.journaled) {
+    appendQueueJournal({ op: "schedule", clientId: envelope.to, envelope });
+    pushRuntimeEvent("info", "bridge.route", `scheduled message for ${envelope.to}`, {
+      from: envelope.from,
+      to: envelope.to,
+      type: envelope.type,
+      envelopeId: envelope.id,
+      deliverAt: envelope.deliverAt,
+    });
+  }
+  return { deliveredTo: 0, queued: false, scheduled: true };
+}
+
+function releaseDueEnvelopes() {
+  const nowSlot = Math.floor(Date.now() / SCHEDULE_TICK_MS);
+  while (scheduleState.cursor <= nowSlot) {
+    const bucket = scheduleWheel.get(scheduleState.cursor);
+    scheduleWheel.delete(scheduleState.cursor);
+    scheduleState.cursor += 1;
+    if (!bucket) {
+      continue;
+    }
+    for (const envelope of bucket.values()) {
+      if (clientsById.has(envelope.to)) {
+        deliverEnvelope(envelope);
+      } else {
+        deadLetterEnvelope(envelope.to, envelope, "unknown_target");
+      }
+      appendQueueJournal({ op: "remove", clientId: envelope.to, envelopeId: envelope.id, reason: "due" });
+    }
+  }
+  maybeCompactQueueJournal();
+}
+
+function scheduledCounts() {
+  const counts = {};
+  for (const bucket of scheduleWheel.values()) {
+    for (const envelope of bucket.values()) {
+      counts[envelope.to] = (counts[envelope.to] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+function deliverEnvelope(envelope) {
+  if (isExpired(envelope)) {
+    discardExpired(envelope.to, envelope);
+    return { deliveredTo: 0, queued: false, expired: true };
+  }
+
+  const recipients = activeConnections.get(envelope.to);
+  if (!recipients || recipients.size === 0) {
+    const queue = getQueue(envelope.to);
+    enqueueByPriority(queue, envelope);
+    appendQueueJournal({ op: "enqueue", clientId: envelope.to, envelope });
+    appendAudit("queue", auditEnvelope(envelope));
+    if (queue.length > config.queueLimit) {
+      const dropped = evictForOverflow(queue);
+      appendQueueJournal({ op: "remove", clientId: envelope.to, envelopeId: dropped.id, reason: "overflow" });
+      deadLetterEnvelope(envelope.to, dropped, "overflow");
+    }
+    pushRuntimeEvent("warn", "bridge.route", `queued message for ${envelope.to}`, {
+      from: envelope.from,
+      to: envelope.to,
+      type: envelope.type,
+      envelopeId: envelope.id,
+    });
+    return { deliveredTo: 0, queued: true };
+  }
+
+  const targets = selectRecipients(envelope.to, Array.from(recipients));
+  sendEnvelope(envelope.to, envelope, targets, { journaled: false });
+  pushRuntimeEvent("info", "bridge.route", `delivered message to ${envelope.to}`, {
+    from: envelope.from,
+    to: envelope.to,
+    type: envelope.type,
+    envelopeId: envelope.id,
+    recipients: targets.length,
+  });
+  return { deliveredTo: targets.length, queued: false };
+}
+
+function flushQueue(connState) {
+  const clientId = connState.clientId;
+  const queue = getQueue(clientId);
+  if (queue.length === 0) {
+    return 0;
+  }
+
+  // Broadcast clients drain their backlog to the connection that just authenticated;
+  // consumer groups spread it across every live connection.
+  const client = clientsById.get(clientId);
+  const group = client && client.delivery !== "broadcast"
+    ? Array.from(activeConnections.get(clientId) || [connState])
+    : [connState];
+
+  let delivered = 0;
+  while (queue.length > 0) {
+    const envelope = queue.shift();
+    if (isExpired(envelope)) {
+      appendQueueJournal({ op: "remove", clientId, envelopeId: envelope.id, reason: "expired" });
+      discardExpired(clientId, envelope);
+      continue;
+    }
+    sendEnvelope(clientId, envelope, selectRecipients(clientId, group), { journaled: true });
+    delivered += 1;
+  }
+  maybeCompactQueueJournal();
+  return delivered;
+}
+
+function parseJsonOrNull(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+function socketPeer(socket) {
+  return `${socket.remoteAddress || "local"}:${socket.remotePort || "-"}`;
+}
+
+function socketInode(socket) {
+  const fd = socket._handle && typeof socket._handle.fd === "number" ? socket._handle.fd : -1;
+  if (fd < 0) {
+    return null;
+  }
+  try {
+    const match = /^socket:\[(\d+)\]$/.exec(fs.readlinkSync(`/proc/self/fd/${fd}`));
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+function procIds(status, field) {
+  const match = new RegExp(`^${field}:\\s*(.*)$`, "m").exec(status);
+  return match ? match[1].trim().split(/\s+/).filter(Boolean).map(Number) : [];
+}
+
+// Node exposes no SO_PEERCRED, so on Linux the peer is resolved through sock_diag
+// (`ss -xp`): the row whose peer inode is our accepted socket is the client's end,
+// and the process holding it gives uid/gids via /proc. This is a snapshot of who
+// holds the socket now, not the kernel's credentials from connect time, so it
+// fails closed (null) when more than one process holds that end, e.g. after a
+// fork or an exec of a setuid binary that inherited the fd. Also null when the
+// peer process is not visible, e.g. another user's while the daemon runs unprivileged.
+function readPeerCredentials(socket) {
+  if (process.platform !== "linux") {
+    return null;
+  }
+  const inode = socketInode(socket);
+  if (!inode) {
+    return null;
+  }
+  let stdout = "";
+  try {
+    const result = spawnSync("ss", ["-xpnH"], { encoding: "utf8", timeout: 1000, maxBuffer: 5 * 1024 * 1024 });
+    if (result.status !== 0) {
+      return null;
+    }
+    stdout = String(result.stdout || "");
+  } catch {
+    return null;
+  }
+
+  // Addresses may contain spaces, so only the row's tail is trusted: the peer inode
+  // is the last field before the optional `users:((...))` process list.
+  const peers = [];
+  for (const line of stdout.split("\n")) {
+    const match = /\s(\d+)(?:\s+users:\((.*)\))?\s*$/.exec(line);
+    if (match && match[1] === inode) {
+      peers.push(match[2] || "");
+    }
+  }
+  if (peers.length !== 1) {
+    return null;
+  }
+  const pids = new Set(Array.from(peers[0].matchAll(/pid=(\d+)/g), (m) => m[1]));
+  if (pids.size !== 1) {
+    return null;
+  }
+
+  const pid = Number(Array.from(pids)[0]);
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, "utf8");
+    const uid = procIds(status, "Uid")[1];
+    const gid = procIds(status, "Gid")[1];
+    if (!Number.isInteger(uid) || !Number.isInteger(gid)) {
+      return null;
+    }
+    return { pid, uid, gid, groups: Array.from(new Set([gid].concat(procIds(status, "Groups")))) };
+  } catch {
+    return null;
+  }
+}
+
+// Failed-auth counters keyed by "client:<id>|<peer>" or "http:<address>".
+// Past authLockoutThreshold each further failure doubles the lockout, capped at
+// authLockoutMaxMs; a client auth or authFailureWindowMs without failures resets it.
+function pruneAuthFailures(now = Date.now()) {
+  for (const [key, entry] of authFailures.entries()) {
+    if (entry.lockedUntil <= now && now - entry.lastFailureAt > config.authFailureWindowMs) {
+      authFailures.delete(key);
+    }
+  }
+  while (authFailureLog.length > 0 && now - authFailureLog[0] > AUTH_ALERT_WINDOW_MS) {
+    authFailureLog.shift();
+  }
+}
+
+function authLockRemaining(keys, now = Date.now()) {
+  let remaining = 0;
+  for (const key of keys) {
+    const entry = authFailures.get(key);
+    if (entry && entry.lockedUntil > now) {
+      remaining = Math.max(remaining, entry.lockedUntil - now);
+    }
+  }
+  return remaining;
+}
+
+function recordAuthFailure(keys, details) {
+  const now = Date.now();
+  pruneAuthFailures(now);
+  authFailureLog.push(now);
+  const counts = {};
+  let lockedUntil = 0;
+  for (const key of keys) {
+    const entry = authFailures.get(key) || { count: 0, lockedUntil: 0, lastFailureAt: 0 };
+    entry.count += 1;
+    entry.lastFailureAt = now;
+    if (entry.count >= config.authLockoutThreshold) {
+      const exponent = Math.min(entry.count - config.authLockoutThreshold, 30);
+      entry.lockedUntil = now + Math.min(config.authLockoutBaseMs * 2 ** exponent, config.authLockoutMaxMs);
+      lockedUntil = Math.max(lockedUntil, entry.lockedUntil);
+    }
+    authFailures.set(key, entry);
+    counts[key] = entry.count;
+  }
+  const extra = Object.assign({}, details, {
+    failures: counts,
+    recentFailures: authFailureLog.length,
+    lockedUntil: lockedUntil ? new Date(lockedUntil).toISOString() : null,
+  });
+  pushRuntimeEvent("warn", "auth.failed", `authentication failed (${details.channel})`, extra);
+  appendAudit("auth", Object.assign({ result: "failed" }, details, { lockedUntil: extra.lockedUntil }));
+  writeLog("auth failed", extra, "warn");
+}
+
+function clearAuthFailures(keys) {
+  for (const key of keys) {
+    authFailures.delete(key);
+  }
+}
+
+function authLockoutSummary() {
+  const now = Date.now();
+  pruneAuthFailures(now);
+  const lockedOut = Array.from(authFailures.entries())
+    .filter(([, entry]) => entry.lockedUntil > now)
+    .map(([key, entry]) => ({ key, failures: entry.count, lockedUntil: new Date(entry.lockedUntil).toISOString() }));
+  return { recentFailures: authFailureLog.length, lockedOut };
+}
+
+// Socket, TLS and WebSocket failures count per (client id, peer), so a peer guessing
+// keys locks only itself out of that id and the real agent keeps working. UNIX peers
+// are named by uid, which needs the `ss` lookup, so callers resolve keys only for ids
+// that already have failures on record. Ids that match no client are not tracked.
+function socketAuthKeys(connState, clientId) {
+  if (!clientsById.has(clientId)) {
+    return [];
+  }
+  let peer;
+  if (connState.transport === "tls" && connState.peerCert && connState.peerCert.fingerprint256) {
+    peer = `cert:${connState.peerCert.fingerprint256}`;
+  } else if (connState.transport !== "unix") {
+    peer = `${connState.transport}:${connState.socket.remoteAddress || "unknown"}`;
+  } else {
+    connPeer(connState);
+    peer = connState.peerCred ? `uid:${connState.peerCred.uid}` : "unix:unknown";
+  }
+  return [`client:${clientId}|${peer}`];
+}
+
+function hasAuthFailures(clientId) {
+  pruneAuthFailures();
+  const prefix = `client:${clientId}|`;
+  return Array.from(authFailures.keys()).some((key) => key.startsWith(prefix));
+}
+
+// Peer label from what is already known; never spawns the `ss` lookup.
+function describePeer(connState) {
+  const cred = connState.peerCred;
+  if (cred) {
+    return `pid=${cred.pid} uid=${cred.uid} gid=${cred.gid}`;
+  }
+  const cert = connState.peerCert;
+  return cert && cert.subject ? `${socketPeer(connState.socket)} cn=${cert.subject.CN}` : socketPeer(connState.socket);
+}
+
+// Resolves peer credentials on first use. readPeerCredentials blocks on `ss -xp`, so
+// this runs only for clients with allowedUids/allowedGids and for lockout keys of
+// ids that have failed auth.
+function connPeer(connState) {
+  if (connState.peerCred === undefined) {
+    connState.peerCred = readPeerCredentials(connState.socket);
+  }
+  return describePeer(connState);
+}
+
+// Per-client allowedUids/allowedGids; a client with either list fails closed when
+// the peer cannot be identified.
+function peerCredentialError(client, connState) {
+  if (!client.allowedUids && !client.allowedGids) {
+    return null;
+  }
+  connPeer(connState);
+  const cred = connState.peerCred;
+  if (!cred) {
+    return "peer_credentials_unavailable";
+  }
+  if (client.allowedUids && !client.allowedUids.includes(cred.uid)) {
+    return "peer_uid_not_allowed";
+  }
+  if (client.allowedGids && !cred.groups.some((gid) => client.allowedGids.includes(gid))) {
+    return "peer_gid_not_allowed";
+  }
+  return null;
+}
+
+// Returns why an otherwise valid key may not authenticate right now, or null.
+function credentialWindowError(client, now = Date.now()) {
+  if (client.disabled) {
+    return "client_disabled";
+  }
+  if (client.notBefore && Date.parse(client.notBefore) > now) {
+    return "credentials_not_yet_valid";
+  }
+  if (client.expiresAt && Date.parse(client.expiresAt) <= now) {
+    return "credentials_expired";
+  }
+  return null;
+}
+
+function persistClientActivity() {
+  const tmpPath = `${config.clientStateFile}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmpPath, `${JSON.stringify(Object.fromEntries(clientActivity), null, 2)}\n`);
+    fs.renameSync(tmpPath, config.clientStateFile);
+  } catch (err) {
+    writeLog("failed to write client state", { error: err.message }, "error");
+  }
+}
+
+function loadClientActivity() {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(config.clientStateFile, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      writeLog("failed to read client state", { error: err.message }, "error");
+    }
+    return 0;
+  }
+  const parsed = asObject(parseJsonOrNull(raw));
+  for (const [clientId, entry] of Object.entries(parsed)) {
+    const lastAuthAt = entry && typeof entry.lastAuthAt === "string" ? entry.lastAuthAt : null;
+    const trackedSince = entry && typeof entry.trackedSince === "string" ? entry.trackedSince : lastAuthAt;
+    if (trackedSince) {
+      clientActivity.set(clientId, {
+        trackedSince,
+        lastAuthAt,
+        lastPeer: (entry && entry.lastPeer) || null,
+        publicKey: (entry && entry.publicKey) || null,
+      });
+    }
+  }
+  return clientActivity.size;
+}
+
+// Clients that never authenticated age from when the bridge first saw them, so a
+// fresh install or a newly added client is not reported dormant straight away.
+function trackClientActivity() {
+  let added = 0;
+  for (const client of config.clients) {
+    if (!clientActivity.has(client.id)) {
+      clientActivity.set(client.id, { trackedSince: nowIso(), lastAuthAt: null, lastPeer: null, publicKey: null });
+      added += 1;
+    }
+  }
+  if (added > 0) {
+    persistClientActivity();
+  }
+}
+
+function recordClientAuth(clientId, peer, publicKey) {
+  const previous = clientActivity.get(clientId);
+  const lastAuthAt = nowIso();
+  let storedKey = previous ? previous.publicKey || null : null;
+  if (publicKey && (!storedKey || storedKey.key !== publicKey.key)) {
+    if (storedKey) {
+      pushRuntimeEvent("warn", "bridge.e2e", `${clientId} published a new e2e public key`, {
+        clientId,
+        previousKeyId: storedKey.keyId,
+        keyId: publicKey.keyId,
+      });
+    }
+    appendAudit("e2e.key", { clientId, keyId: publicKey.keyId, previousKeyId: storedKey ? storedKey.keyId : null, peer });
+    storedKey = Object.assign({}, publicKey, { publishedAt: lastAuthAt });
+  }
+  clientActivity.set(clientId, {
+    trackedSince: previous ? previous.trackedSince : lastAuthAt,
+    lastAuthAt,
+    lastPeer: peer,
+    publicKey: storedKey,
+  });
+  persistClientActivity();
+}
+
+// Public keys clients published for end-to-end payload encryption. The bridge only
+// relays them; it never holds the matching private keys.
+function parseE2ePublicKey(value) {
+  const entry = asObject(value);
+  if (entry.alg !== "X25519" || typeof entry.key !== "string" || !/^[A-Za-z0-9_-]{43}$/.test(entry.key)) {
+    return null;
+  }
+  if (Buffer.from(entry.key, "base64url").length !== 32) {
+    return null;
+  }
+  return { alg: "X25519", key: entry.key, keyId: sha256(entry.key).slice(0, 16) };
+}
+
+function e2ePublicKeys() {
+  const keys = {};
+  for (const client of config.clients) {
+    const activity = clientActivity.get(client.id);
+    if (activity && activity.publicKey) {
+      const { alg, key, keyId } = activity.publicKey;
+      keys[client.id] = { alg, key, keyId };
+    }
+  }
+  return keys;
+}
+
+// Credential hygiene for status and alerts: keys unused for dormantClientDays, or
+// expiring within keyExpiryWarningDays.
+function credentialHealth(now = Date.now()) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const dormant = [];
+  const expiring = [];
+  const expired = [];
+  for (const client of config.clients) {
+    if (client.disabled) {
+      continue;
+    }
+    const activity = clientActivity.get(client.id);
+    const lastSeen = activity ? Date.parse(activity.lastAuthAt || activity.trackedSince) : now;
+    if (now - lastSeen >= config.dormantClientDays * dayMs) {
+      dormant.push(client.id);
+    }
+    if (client.expiresAt) {
+      const expiresMs = Date.parse(client.expiresAt);
+      if (expiresMs <= now) {
+        expired.push(client.id);
+      } else if (expiresMs - now <= config.keyExpiryWarningDays * dayMs) {
+        expiring.push(client.id);
+      }
+    }
+  }
+  return { dormant, expiring, expired };
+}
+
+initAuditLog();
+loadClientActivity();
+trackClientActivity();
+
+const restoredDeadLetters = loadDeadLetters();
+if (restoredDeadLetters > 0) {
+  writeLog("restored dead letters", { deadLetterFile: config.deadLetterFile, count: restoredDeadLetters });
+}
+
+const restoredQueued = loadQueueJournal();
+if (restoredQueued > 0) {
+  writeLog("restored queued envelopes from journal", { queueFile: config.queueFile, count: restoredQueued });
+}
+
+if (fs.existsSync(config.socketPath)) {
+  try {
+    fs.unlinkSync(config.socketPath);
+  } catch (err) {
+    writeLog("failed to remove stale socket", { error: err.message }, "warn");
+  }
+}
+
+setInterval(releaseDueEnvelopes, SCHEDULE_TICK_MS).unref();
+setInterval(expireRotatedKeys, KEY_EXPIRY_SWEEP_MS).unref();
+
+function handleConnection(socket, transport) {
+  const connState = {
+    socket,
+    transport,
+    buffer: "",
+    authed: false,
+    clientId: null,
+    topics: new Set(),
+    inflight: 0,
+    connectedAt: Date.now(),
+  };
+  const channel = transport === "unix" ? "socket" : transport;
+  if (transport !== "unix") {
+    // Peer uid/gid only exist for UNIX sockets; TLS peers are named by certificate,
+    // WebSocket peers by address.
+    connState.peerCred = null;
+  }
+  if (transport === "tls") {
+    connState.peerCert = socket.getPeerCertificate();
+  }
+
+  writeLog("socket client connected", { peer: describePeer(connState), transport });
+
+  socket.on("data", (chunk) => {
+    connState.buffer += chunk.toString("utf8");
+
+    if (Buffer.byteLength(connState.buffer, "utf8") > config.maxMessageBytes * 2) {
+      sendJson(socket, { action: "error", error: "buffer_exceeded" });
+      socket.destroy();
+      return;
+    }
+
+    while (true) {
       const idx = connState.buffer.indexOf("\n");
       if (idx === -1) {
         break;
       }
-      const line = connState.buffer.slice(0, idx).trim();
-      connState.buffer = connState.buffer.slice(idx + 1);
-
-      if (!line) {
-        continue;
+      const line = connState.buffer.slice(0, idx).trim();
+      connState.buffer = connState.buffer.slice(idx + 1);
+
+      if (!line) {
+        continue;
+      }
+
+      if (Buffer.byteLength(line, "utf8") > config.maxMessageBytes) {
+        sendJson(socket, { action: "error", error: "message_too_large" });
+        continue;
+      }
+
+      const msg = parseJsonOrNull(line);
+      if (!msg) {
+        sendJson(socket, { action: "error", error: "invalid_json" });
+        continue;
+      }
+
+      if (!connState.authed) {
+        if (msg.action !== "auth") {
+          sendJson(socket, { action: "error", error: "auth_required" });
+          continue;
+        }
+
+        let authKeys = null;
+        const peerAuthKeys = () => authKeys || (authKeys = socketAuthKeys(connState, msg.clientId));
+        const lockedMs = hasAuthFailures(msg.clientId) ? authLockRemaining(peerAuthKeys()) : 0;
+        if (lockedMs > 0) {
+          sendJson(socket, { action: "auth_failed", reason: "locked_out", retryAfterMs: lockedMs });
+          socket.destroy();
+          return;
+        }
+
+        const clientDef = clientsById.get(msg.clientId);
+        const credential = clientDef ? socketCredential(clientDef, connState, msg) : null;
+        if (!credential) {
+          recordAuthFailure(peerAuthKeys(), {
+            channel,
+            clientId: typeof msg.clientId === "string" ? msg.clientId.slice(0, 128) : null,
+            peer: describePeer(connState),
+          });
+          sendJson(socket, { action: "auth_failed" });
+          socket.destroy();
+          return;
+        }
+        if (authKeys) {
+          clearAuthFailures(authKeys);
+        }
+        const refusal = credentialWindowError(clientDef) || peerCredentialError(clientDef, connState);
+        if (refusal) {
+          writeLog("client auth refused", { clientId: clientDef.id, reason: refusal, peer: describePeer(connState) }, "warn");
+          appendAudit("auth", { result: "refused", channel, clientId: clientDef.id, reason: refusal, peer: describePeer(connState) });
+          sendJson(socket, { action: "auth_failed", reason: refusal });
+          socket.destroy();
+          return;
+        }
+
+        connState.authed = true;
+        connState.clientId = clientDef.id;
+        connState.keySha256 = credential.keySha256;
+        connState.acks = msg.acks === true;
+        const publicKey = msg.publicKey === undefined ? null : parseE2ePublicKey(msg.publicKey);
+        if (msg.publicKey !== undefined && !publicKey) {
+          sendJson(socket, { action: "error", error: "invalid_public_key" });
+        }
+        registerConnection(clientDef.id, connState);
+        recordClientAuth(clientDef.id, describePeer(connState), publicKey);
+        appendAudit("auth", { result: "ok", channel, via: credential.via, clientId: clientDef.id, peer: describePeer(connState) });
+
+        sendJson(socket, {
+          action: "auth_ok",
+          clientId: clientDef.id,
+          queued: getQueue(clientDef.id).length,
+          acks: connState.acks,
+          signing: signingInfo(clientDef.id),
+          ts: nowIso(),
+        });
+        const flushed = flushQueue(connState);
+        writeLog("client authenticated", {
+          clientId: clientDef.id,
+          peer: describePeer(connState),
+          flushed,
+          via: credential.via,
+          previousKey: Boolean(credential.keySha256) && credential.keySha256 !== clientDef.keySha256,
+        });
+        continue;
+      }
+
+      if (msg.action === "ping") {
+        sendJson(socket, { action: "pong", ts: nowIso() });
+        continue;
+      }
+
+      if (msg.action === "response") {
+        const correlationId = typeof msg.correlationId === "string" ? msg.correlationId : "";
+        const callerId = typeof msg.to === "string" ? msg.to : null;
+        const found = correlationId ? findPendingRequest(connState.clientId, correlationId, callerId) : { error: "unknown_correlation" };
+        if (!found.pending) {
+          sendJson(socket, { action: "error", error: found.error, correlationId: correlationId || null });
+          continue;
+        }
+        const pending = found.pending;
+
+        const responseIdError = envelopeIdError(pending.from, msg.id);
+        if (responseIdError) {
+          sendJson(socket, { action: "error", error: responseIdError, id: msg.id });
+          continue;
+        }
+
+        const inspected = inspectPayload(msg.payload === undefined ? null : msg.payload, {
+          channel: "socket",
+          action: "response",
+          from: connState.clientId,
+          to: pending.from,
+        });
+        if (!inspected.ok) {
+          sendJson(socket, { action: "error", error: inspected.error, kinds: inspected.kinds });
+          continue;
+        }
+
+        const envelope = {
+          id: msg.id || randomId("m"),
+          from: connState.clientId,
+          to: pending.from,
+          type: msg.type || "response",
+          payload: inspected.payload,
+          correlationId,
+          ts: nowIso(),
+        };
+
+        appendAudit("send", Object.assign(auditEnvelope(envelope), { action: "response" }));
+        const routed = routeResponse(pending, envelope);
+        sendJson(socket, {
+          action: "sent",
+          id: envelope.id,
+          correlationId,
+          deliveredTo: routed.deliveredTo,
+          queued: routed.queued,
+          ts: envelope.ts,
+        });
+        continue;
+      }
+
+      if (msg.action === "send" || msg.action === "request") {
+        const isRequest = msg.action === "request";
+        if (!msg.to || typeof msg.to !== "string") {
+          sendJson(socket, { action: "error", error: "missing_to" });
+          continue;
+        }
+
+        if (!clientsById.has(msg.to)) {
+          sendJson(socket, { action: "error", error: "unknown_target" });
+          continue;
+        }
+
+        // A reply to a pending request may always reach the caller.
+        const pending = !isRequest && msg.correlationId ? findPendingRequest(connState.clientId, msg.correlationId, msg.to).pending : null;
+        const replying = Boolean(pending && pending.from === msg.to);
+
+        if (!replying) {
+          const routeCheck = { type: msg.type || (isRequest ? "request" : "message"), payload: msg.payload };
+          const decision = canRoute(connState.clientId, msg.to, routeCheck);
+          if (!decision.allowed) {
+            recordRouteDenied(connState.clientId, msg.to, routeCheck, decision.reason);
+            sendJson(socket, { action: "error", error: "route_not_allowed", reason: decision.reason });
+            continue;
+          }
+        }
+
+        const correlationId = msg.correlationId || (isRequest ? randomId("corr") : null);
+        if (isRequest && pendingRequests.has(requestKey(connState.clientId, correlationId))) {
+          sendJson(socket, { action: "error", error: "duplicate_correlation", correlationId });
+          continue;
+        }
+
+        const timing = deliveryTiming(msg);
+        if (!timing.ok) {
+          sendJson(socket, { action: "error", error: timing.error });
+          continue;
+        }
+
+        const idError = envelopeIdError(msg.to, msg.id);
+        if (idError) {
+          sendJson(socket, { action: "error", error: idError, id: msg.id });
+          continue;
+        }
+
+        const inspected = inspectPayload(msg.payload === undefined ? null : msg.payload, {
+          channel: "socket",
+          action: msg.action,
+          from: connState.clientId,
+          to: msg.to,
+        });
+        if (!inspected.ok) {
+          sendJson(socket, { action: "error", error: inspected.error, kinds: inspected.kinds });
+          continue;
+        }
+
+        const envelope = applyDeliveryTiming({
+          id: msg.id || randomId("m"),
+          from: connState.clientId,
+          to: msg.to,
+          type: msg.type || (isRequest ? "request" : "message"),
+          payload: inspected.payload,
+          correlationId,
+          ts: nowIso(),
+        }, timing);
+        const prioritized = applyPriority(envelope, msg);
+        if (!prioritized.ok) {
+          sendJson(socket, { action: "error", error: prioritized.error });
+          continue;
+        }
+
+        appendAudit("send", Object.assign(auditEnvelope(envelope), { action: replying ? "reply" : msg.action }));
+        const tracked = isRequest ? trackRequest(connState, envelope, requestTimeoutFor(msg)) : null;
+        let routed;
+        if (replying) {
+          routed = routeResponse(pending, envelope);
+        } else if (envelope.deliverAt) {
+          routed = scheduleEnvelope(envelope);
+        } else {
+          routed = deliverEnvelope(envelope);
+        }
+        sendJson(socket, {
+          action: "sent",
+          id: envelope.id,
+          correlationId: envelope.correlationId,
+          deliveredTo: routed.deliveredTo,
+          queued: routed.queued,
+          scheduled: routed.scheduled === true,
+          deliverAt: envelope.deliverAt,
+          expiresAt: envelope.expiresAt,
+          deadline: tracked ? tracked.deadline : undefined,
+          redacted: inspected.redacted,
+          ts: envelope.ts,
+        });
+        continue;
+      }
+
+      if (msg.action === "ack") {
+        const envelopeId = typeof msg.id === "string" ? msg.id : "";
+        if (!envelopeId) {
+          sendJson(socket, { action: "error", error: "missing_id" });
+          continue;
+        }
+        if (!settleInflight(connState.clientId, envelopeId, "acked")) {
+          sendJson(socket, { action: "error", error: "unknown_ack", id: envelopeId });
+          continue;
+        }
+        sendJson(socket, { action: "acked", id: envelopeId, ts: nowIso() });
+        continue;
+      }
+
+      if (msg.action === "subscribe" || msg.action === "unsubscribe") {
+        const topic = msg.topic;
+        if (!isValidTopic(topic)) {
+          sendJson(socket, { action: "error", error: "invalid_topic" });
+          continue;
+        }
+        if (msg.action === "unsubscribe") {
+          unsubscribeTopic(connState, topic);
+          sendJson(socket, { action: "unsubscribed", topic, ts: nowIso() });
+          continue;
+        }
+        if (!canSubscribe(connState.clientId, topic)) {
+          sendJson(socket, { action: "error", error: "subscribe_not_allowed", topic });
+          continue;
+        }
+        subscribeTopic(connState, topic);
+        sendJson(socket, { action: "subscribed", topic, ts: nowIso() });
+        continue;
+      }
+
+      if (msg.action === "publish") {
+        const topic = msg.topic;
+        if (!isValidTopic(topic)) {
+          sendJson(socket, { action: "error", error: "invalid_topic" });
+          continue;
+        }
+        if (!canPublish(connState.clientId, topic)) {
+          sendJson(socket, { action: "error", error: "publish_not_allowed", topic });
+          continue;
+        }
+
+        const inspected = inspectPayload(msg.payload === undefined ? null : msg.payload, {
+          channel: "socket",
+          action: "publish",
+          from: connState.clientId,
+          topic,
+        });
+        if (!inspected.ok) {
+          sendJson(socket, { action: "error", error: inspected.error, kinds: inspected.kinds });
+          continue;
+        }
+
+        const envelope = {
+          id: msg.id || randomId("m"),
+          from: connState.clientId,
+          to: null,
+          topic,
+          type: msg.type || "event",
+          payload: inspected.payload,
+          correlationId: msg.correlationId || null,
+          ts: nowIso(),
+        };
+
+        appendAudit("publish", auditEnvelope(envelope));
+        const published = publishEnvelope(envelope);
+        sendJson(socket, {
+          action: "published",
+          id: envelope.id,
+          topic,
+          deliveredTo: published.deliveredTo,
+          ts: envelope.ts,
+        });
+        continue;
+      }
+
+      if (msg.action === "whoami") {
+        const acl = clientAcls.get(connState.clientId);
+        sendJson(socket, {
+          action: "whoami",
+          clientId: connState.clientId,
+          groups: acl.groups,
+          canSendTo: acl.canSendTo,
+          canPublish: acl.canPublish,
+          canSubscribe: acl.canSubscribe,
+          subscriptions: Array.from(connState.topics),
+          signing: signingInfo(connState.clientId),
+          publicKeys: e2ePublicKeys(),
+          ts: nowIso(),
+        });
+        continue;
+      }
+
+      sendJson(socket, { action: "error", error: "unknown_action" });
+    }
+  });
+
+  socket.on("close", () => {
+    for (const topic of Array.from(connState.topics)) {
+      unsubscribeTopic(connState, topic);
+    }
+    if (connState.clientId) {
+      unregisterConnection(connState.clientId, connState);
+      const released = releaseInflight(connState);
+      const cancelledRequests = cancelRequestsFor(connState);
+      writeLog("socket client disconnected", {
+        clientId: connState.clientId,
+        lifetimeMs: Date.now() - connState.connectedAt,
+        released,
+        cancelledRequests,
+      });
+    }
+  });
+
+  socket.on("error", (err) => {
+    writeLog("socket error", { error: err.message, clientId: connState.clientId }, "warn");
+  });
+}
+
+const socketServer = net.createServer((socket) => handleConnection(socket, "unix"));
+
+socketServer.on("error", (err) => {
+  writeLog("socket server error", { error: err.message }, "error");
+  process.exit(1);
+});
+
+socketServer.listen(config.socketPath, () => {
+  setSocketMode(config.socketPath, config.socketMode);
+  writeLog("bridge socket ready", { socketPath: config.socketPath, mode: config.socketMode });
+});
+
+// Optional TCP+TLS listener for agents in containers or VMs on the same host. Off
+// unless tlsPort is set; every connection must present a certificate signed by tlsCaFile.
+let tlsServer = null;
+if (config.tlsPort) {
+  let tlsOptions;
+  try {
+    tlsOptions = {
+      cert: fs.readFileSync(config.tlsCertFile),
+      key: fs.readFileSync(config.tlsKeyFile),
+      ca: fs.readFileSync(config.tlsCaFile),
+      requestCert: true,
+      rejectUnauthorized: true,
+      minVersion: "TLSv1.2",
+    };
+  } catch (err) {
+    writeLog("failed to read TLS files", { error: err.message }, "error");
+    process.exit(1);
+  }
+
+  tlsServer = tls.createServer(tlsOptions, (socket) => handleConnection(socket, "tls"));
+
+  tlsServer.on("tlsClientError", (err, socket) => {
+    writeLog("tls handshake failed", { peer: socketPeer(socket), error: err.message }, "warn");
+  });
+
+  tlsServer.on("error", (err) => {
+    writeLog("tls server error", { error: err.message }, "error");
+    process.exit(1);
+  });
+
+  tlsServer.listen(config.tlsPort, config.tlsHost, () => {
+    writeLog("bridge tls listener ready", { host: config.tlsHost, port: config.tlsPort });
+  });
+}
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Minimal RFC 6455 server side for the /ws gateway. Each text message carries one
+// protocol message; the returned emitter behaves enough like a net.Socket
+// (data/close/error events, write, destroy) for handleConnection.
+function createWsConnection(raw) {
+  const conn = new EventEmitter();
+  conn.remoteAddress = raw.remoteAddress;
+  conn.remotePort = raw.remotePort;
+  let pending = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closing = false;
+
+  function sendFrame(opcode, payload) {
+    if (raw.destroyed) {
+      return;
+    }
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    raw.write(Buffer.concat([header, payload]));
+  }
+
+  function close(code, reason) {
+    if (closing) {
+      return;
+    }
+    closing = true;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code, 0);
+    sendFrame(0x8, Buffer.concat([body, Buffer.from(reason || "", "utf8")]));
+    raw.end();
+    setTimeout(() => raw.destroy(), 1000).unref();
+  }
+
+  conn.write = (text) => {
+    if (!closing) {
+      for (const line of String(text).split("\n")) {
+        if (line) {
+          sendFrame(0x1, Buffer.from(line, "utf8"));
+        }
+      }
+    }
+    return true;
+  };
+  conn.destroy = () => close(1000, "");
+
+  function readFrames() {
+    while (!closing && pending.length >= 2) {
+      const fin = (pending[0] & 0x80) !== 0;
+      const opcode = pending[0] & 0x0f;
+      let length = pending[1] & 0x7f;
+      let offset = 2;
+      if ((pending[1] & 0x80) === 0) {
+        close(1002, "unmasked_frame");
+        return;
+      }
+      if (length === 126) {
+        if (pending.length < 4) {
+          return;
+        }
+        length = pending.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (pending.length < 10) {
+          return;
+        }
+        const big = pending.readBigUInt64BE(2);
+        length = big > BigInt(config.maxMessageBytes) ? Infinity : Number(big);
+        offset = 10;
+      }
+      // RFC 6455 5.5: control frames carry at most 125 bytes and are never fragmented.
+      if (opcode >= 0x8 && (length > 125 || !fin)) {
+        close(1002, "invalid_control_frame");
+        return;
+      }
+      if (length > config.maxMessageBytes || fragmentBytes + length > config.maxMessageBytes) {
+        close(1009, "message_too_large");
+        return;
+      }
+      if (pending.length < offset + 4 + length) {
+        return;
+      }
+      const mask = pending.subarray(offset, offset + 4);
+      const payload = Buffer.from(pending.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i += 1) {
+        payload[i] ^= mask[i % 4];
       }
+      pending = pending.subarray(offset + 4 + length);
 
-      if (Buffer.byteLength(line, "utf8") > config.maxMessageBytes) {
-        sendJson(socket, { action: "error", error: "message_too_large" });
+      if (opcode === 0x8) {
+        close(1000, "");
+        return;
+      }
+      if (opcode === 0x9) {
+        sendFrame(0xa, payload);
         continue;
       }
-
-      const msg = parseJsonOrNull(line);
-      if (!msg) {
-        sendJson(socket, { action: "error", error: "invalid_json" });
+      if (opcode === 0xa) {
         continue;
       }
+      if (opcode !== 0x1 && !(opcode === 0x0 && fragments.length > 0)) {
+        close(1003, "text_frames_only");
+        return;
+      }
+      fragments.push(payload);
+      fragmentBytes += payload.length;
+      if (fin) {
+        // Raw newlines in valid JSON are whitespace, so flattening keeps one message per line.
+        const text = Buffer.concat(fragments).toString("utf8").replace(/[\r\n]+/g, " ");
+        fragments = [];
+        fragmentBytes = 0;
+        conn.emit("data", Buffer.from(`${text}\n`, "utf8"));
+      }
+    }
+  }
 
-      if (!connState.authed) {
-        if (msg.action !== "auth") {
-          sendJson(socket, { action: "error", error: "auth_required" });
-          continue;
-        }
+  raw.on("data", (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    readFrames();
+  });
+  // The HTTP server allows half-open sockets; finish our side when the peer leaves.
+  raw.on("end", () => raw.end());
+  raw.on("close", () => conn.emit("close"));
+  raw.on("error", (err) => conn.emit("error", err));
+  return conn;
+}
 
-        const clientDef = clientsById.get(msg.clientId);
-        if (!clientDef || !safeCompareHash(msg.apiKey || "", clientDef.keySha256)) {
-          sendJson(socket, { action: "auth_failed" });
-          socket.destroy();
-          return;
-        }
+function rejectUpgrade(raw, status, error) {
+  const body = JSON.stringify({ ok: false, error });
+  raw.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`,
+  );
+}
 
-        connState.authed = true;
-        connState.clientId = clientDef.id;
-        registerConnection(clientDef.id, connState);
+// WebSocket gateway on the control panel port: same protocol, registry and ACLs
+// as the UNIX socket, authenticated by the client's own apiKey.
+function handleUpgrade(req, raw, head) {
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== "/ws" || !config.wsEnabled) {
+    rejectUpgrade(raw, 404, "not_found");
+    return;
+  }
+  if (!hostAllowed(req)) {
+    writeLog("websocket upgrade refused", { peer: socketPeer(raw), host: req.headers.host || null, reason: "host_not_allowed" }, "warn");
+    rejectUpgrade(raw, 403, "host_not_allowed");
+    return;
+  }
+  const key = req.headers["sec-websocket-key"];
+  if (String(req.headers.upgrade || "").toLowerCase() !== "websocket" || !key || req.headers["sec-websocket-version"] !== "13") {
+    rejectUpgrade(raw, 400, "bad_websocket_request");
+    return;
+  }
+  const originProblem = originError(req, "key");
+  if (originProblem) {
+    writeLog("websocket upgrade refused", { peer: socketPeer(raw), origin: req.headers.origin, reason: originProblem }, "warn");
+    rejectUpgrade(raw, 403, originProblem);
+    return;
+  }
 
-        sendJson(socket, {
-          action: "auth_ok",
-          clientId: clientDef.id,
-          queued: getQueue(clientDef.id).length,
-          ts: nowIso(),
-        });
-        const flushed = flushQueue(clientDef.id, socket);
-        writeLog("client authenticated", { clientId: clientDef.id, peer: socketPeer(socket), flushed });
-        continue;
-      }
+  const accept = crypto.createHash("sha1").update(`${key}${WS_GUID}`).digest("base64");
+  raw.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  raw.setNoDelay(true);
+  if (head && head.length > 0) {
+    raw.unshift(head);
+  }
+  handleConnection(createWsConnection(raw), "ws");
+}
 
-      if (msg.action === "ping") {
-        sendJson(socket, { action: "pong", ts: nowIso() });
-        continue;
+function parseBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk.toString("utf8");
+      if (Buffer.byteLength(data, "utf8") > config.maxMessageBytes * 2) {
+        reject(new Error("body_too_large"));
       }
+    });
+    req.on("end", () => {
+      if (!data.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(data));
+      } catch {
+        reject(new Error("invalid_json"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
 
-      if (msg.action === "send") {
-        if (!msg.to || typeof msg.to !== "string") {
-          sendJson(socket, { action: "error", error: "missing_to" });
-          continue;
-        }
+function json(res, code, payload) {
+  res.writeHead(code, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(payload));
+}
 
-        if (!clientsById.has(msg.to)) {
-          sendJson(socket, { action: "error", error: "unknown_target" });
-          continue;
-        }
+function matchAdminToken(token) {
+  if (!token || typeof token !== "string") {
+    return null;
+  }
+  return config.adminTokens.find((entry) => safeCompareHash(token, entry.tokenSha256)) || null;
+}
 
-        if (!canRoute(connState.clientId, msg.to)) {
-          sendJson(socket, { action: "error", error: "route_not_allowed" });
-          continue;
-        }
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx > 0) {
+      cookies[part.slice(0, idx).trim()] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
 
-        const envelope = {
-          id: msg.id || randomId("m"),
-          from: connState.clientId,
-          to: msg.to,
-          type: msg.type || "message",
-          payload: msg.payload === undefined ? null : msg.payload,
-          correlationId: msg.correlationId || null,
-          ts: nowIso(),
-        };
+function sessionCookie(req, value, maxAgeSeconds) {
+  const secure = req.socket.encrypted ? "; Secure" : "";
+  return `${SESSION_COOKIE}=${value}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAgeSeconds}${secure}`;
+}
 
-        const routed = deliverEnvelope(envelope);
-        sendJson(socket, {
-          action: "sent",
-          id: envelope.id,
-          deliveredTo: routed.deliveredTo,
-          queued: routed.queued,
-          ts: envelope.ts,
-        });
-        continue;
-      }
+// Sessions are keyed by the hash of the cookie value and stay bound to the token
+// that opened them: removing or re-hashing that token in config ends them, and
+// scope changes apply on the next request.
+function findAdminSession(req) {
+  const sid = parseCookies(req)[SESSION_COOKIE];
+  if (!sid) {
+    return null;
+  }
+  const key = sha256(sid);
+  const session = adminSessions.get(key);
+  if (!session) {
+    return null;
+  }
+  const token = config.adminTokens.find((entry) => entry.name === session.tokenName && entry.tokenSha256 === session.tokenSha256);
+  if (!token || session.expiresAt <= Date.now()) {
+    adminSessions.delete(key);
+    return null;
+  }
+  return { key, session, token };
+}
 
-      if (msg.action === "whoami") {
-        sendJson(socket, {
-          action: "whoami",
-          clientId: connState.clientId,
-          canSendTo: clientsById.get(connState.clientId).canSendTo,
-          ts: nowIso(),
-        });
-        continue;
+function createAdminSession(token) {
+  const now = Date.now();
+  for (const [key, session] of adminSessions.entries()) {
+    if (session.expiresAt <= now) {
+      adminSessions.delete(key);
+    }
+  }
+  const sid = crypto.randomBytes(32).toString("hex");
+  const session = {
+    tokenName: token.name,
+    tokenSha256: token.tokenSha256,
+    createdAt: nowIso(),
+    expiresAt: now + config.panelSessionTtlMs,
+  };
+  adminSessions.set(sha256(sid), session);
+  return { sid, session };
+}
+
+// Header tokens serve scripts; the panel authenticates with its session cookie.
+function authenticateAdmin(req) {
+  const header = req.headers["x-bridge-token"];
+  if (header !== undefined) {
+    const token = Array.isArray(header) ? null : matchAdminToken(header);
+    return token ? { name: token.name, scopes: token.scopes, via: "token" } : null;
+  }
+  const found = findAdminSession(req);
+  if (!found) {
+    return null;
+  }
+  return {
+    name: found.token.name,
+    scopes: found.token.scopes,
+    via: "session",
+    expiresAt: new Date(found.session.expiresAt).toISOString(),
+  };
+}
+
+// Hostnames the panel port answers to: loopback, httpHost and the hosts of
+// panelOrigins. A DNS-rebinding page reaches us under its own hostname, so checking
+// Host keeps it away from the API and /ws, and Origin is only ever compared with an
+// allowed Host.
+function hostAllowed(req) {
+  let hostname;
+  try {
+    hostname = new URL(`http://${req.headers.host || ""}`).hostname;
+  } catch {
+    return false;
+  }
+  const allowed = new Set(["localhost", "127.0.0.1", "[::1]"]);
+  if (config.httpHost && config.httpHost !== "0.0.0.0" && config.httpHost !== "::") {
+    allowed.add(config.httpHost.includes(":") ? `[${config.httpHost}]` : config.httpHost);
+  }
+  for (const origin of config.panelOrigins) {
+    try {
+      allowed.add(new URL(origin).hostname);
+    } catch {
+      // validated at load; ignore anything unparsable
+    }
+  }
+  return allowed.has(hostname);
+}
+
+function requestOrigin(req) {
+  return `${req.socket.encrypted ? "https" : "http"}://${req.headers.host || ""}`;
+}
+
+// State-changing requests must come from the panel's own origin (or panelOrigins);
+// cookie-authenticated ones must say where they come from at all.
+function originError(req, via) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return via === "session" ? "origin_required" : null;
+  }
+  if (origin === requestOrigin(req) || config.panelOrigins.includes(origin)) {
+    return null;
+  }
+  return "origin_not_allowed";
+}
+
+function httpAuthKey(req) {
+  return `http:${req.socket.remoteAddress || "unknown"}`;
+}
+
+function buildStatus() {
+  const active = {};
+  const load = {};
+  for (const [id, set] of activeConnections.entries()) {
+    active[id] = set.size;
+    load[id] = Array.from(set).map((conn) => conn.inflight);
+  }
+
+  const queued = {};
+  const inflight = {};
+  const deadLettered = {};
+  for (const client of config.clients) {
+    queued[client.id] = getQueue(client.id).length;
+    inflight[client.id] = inflightByClient.has(client.id) ? inflightByClient.get(client.id).size : 0;
+    deadLettered[client.id] = deadLetters.has(client.id) ? deadLetters.get(client.id).length : 0;
+  }
+
+  return {
+    ts: nowIso(),
+    socketPath: config.socketPath,
+    tls: config.tlsPort ? { host: config.tlsHost, port: config.tlsPort } : null,
+    active,
+    load,
+    queued,
+    inflight,
+    scheduled: scheduledCounts(),
+    deadLettered,
+    pendingRequests: pendingRequests.size,
+    topics: Object.fromEntries(Array.from(topicSubscribers.entries()).map(([topic, set]) => [topic, set.size])),
+    clients: config.clients.map((c) => ({
+      id: c.id,
+      groups: clientAcls.has(c.id) ? clientAcls.get(c.id).groups : [],
+      canSendTo: c.canSendTo,
+      canPublish: c.canPublish,
+      canSubscribe: c.canSubscribe,
+      delivery: c.delivery,
+      disabled: c.disabled,
+      notBefore: c.notBefore || null,
+      expiresAt: c.expiresAt || null,
+      lastAuthAt: clientActivity.has(c.id) ? clientActivity.get(c.id).lastAuthAt : null,
+      lastPeer: clientActivity.has(c.id) ? clientActivity.get(c.id).lastPeer : null,
+    })),
+    credentials: credentialHealth(),
+    auth: authLockoutSummary(),
+  };
+}
+
+function routeAdminSend(body, actor) {
+  if (!body.asClient || !body.to) {
+    return { ok: false, error: "asClient_and_to_required" };
+  }
+  if (!clientsById.has(body.asClient) || !clientsById.has(body.to)) {
+    return { ok: false, error: "unknown_client" };
+  }
+  const routeCheck = { type: body.type || "message", payload: body.payload };
+  const decision = canRoute(body.asClient, body.to, routeCheck);
+  if (!decision.allowed) {
+    recordRouteDenied(body.asClient, body.to, routeCheck, decision.reason);
+    return { ok: false, error: "route_not_allowed", reason: decision.reason };
+  }
+
+  const timing = deliveryTiming(body);
+  if (!timing.ok) {
+    return { ok: false, error: timing.error };
+  }
+
+  const idError = envelopeIdError(body.to, body.id);
+  if (idError) {
+    return { ok: false, error: idError };
+  }
+
+  const inspected = inspectPayload(body.payload === undefined ? null : body.payload, {
+    channel: "http",
+    action: "admin.send",
+    from: body.asClient,
+    to: body.to,
+    token: actor || null,
+  });
+  if (!inspected.ok) {
+    return { ok: false, error: inspected.error, kinds: inspected.kinds };
+  }
+
+  const envelope = applyDeliveryTiming({
+    id: body.id || randomId("admin"),
+    from: body.asClient,
+    to: body.to,
+    type: body.type || "message",
+    payload: inspected.payload,
+    correlationId: body.correlationId || null,
+    ts: nowIso(),
+  }, timing);
+  const prioritized = applyPriority(envelope, body);
+  if (!prioritized.ok) {
+    return { ok: false, error: prioritized.error };
+  }
+
+  appendAudit("admin.send", Object.assign(auditEnvelope(envelope), { token: actor || null }));
+  const routed = envelope.deliverAt ? scheduleEnvelope(envelope) : deliverEnvelope(envelope);
+  return { ok: true, envelope, routed };
+}
+
+// Settings bound to listeners, files or derived Mission Control state at startup;
+// a reload reports changes to these but only a restart applies them.
+const RESTART_ONLY_SETTINGS = [
+  "socketPath",
+  "socketMode",
+  "httpHost",
+  "httpPort",
+  "logFile",
+  "queueFile",
+  "deadLetterFile",
+  "clientStateFile",
+  "auditFile",
+  "signingKeyFile",
+  "tlsHost",
+  "tlsPort",
+  "tlsCertFile",
+  "tlsKeyFile",
+  "tlsCaFile",
+  "missionControl",
+];
+
+function aclFingerprint(clientId) {
+  const client = clientsById.get(clientId);
+  const acl = clientAcls.get(clientId);
+  return safeJson({ acl, delivery: client ? client.delivery : null });
+}
+
+function disconnectClient(clientId, reason) {
+  const conns = Array.from(activeConnections.get(clientId) || []);
+  for (const conn of conns) {
+    sendJson(conn.socket, { action: "error", error: reason });
+    conn.socket.destroy();
+  }
+  return conns.length;
+}
+
+// Drops what the daemon still holds for a client that left the config: queued,
+// in-flight and scheduled envelopes (journaled as removed), dead letters and the
+// activity record. Its connections are closed by the caller first; with the
+// in-flight map gone their close handlers have nothing left to requeue.
+function purgeClient(clientId) {
+  let dropped = 0;
+  const drop = (envelopeId) => {
+    deliveryAttempts.delete(deliveryKey(clientId, envelopeId));
+    appendQueueJournal({ op: "remove", clientId, envelopeId, reason: "client_removed" });
+    dropped += 1;
+  };
+  for (const envelope of pendingQueues.get(clientId) || []) {
+    drop(envelope.id);
+  }
+  pendingQueues.delete(clientId);
+  for (const [envelopeId, entry] of inflightByClient.get(clientId) || []) {
+    detachInflightEntry(entry);
+    drop(envelopeId);
+  }
+  inflightByClient.delete(clientId);
+  for (const bucket of scheduleWheel.values()) {
+    for (const [key, envelope] of Array.from(bucket.entries())) {
+      if (envelope.to === clientId) {
+        bucket.delete(key);
+        drop(envelope.id);
       }
+    }
+  }
+  roundRobinCursors.delete(clientId);
+  maybeCompactQueueJournal();
 
-      sendJson(socket, { action: "error", error: "unknown_action" });
+  const deadLettered = deadLetters.has(clientId) ? deadLetters.get(clientId).length : 0;
+  if (deadLetters.delete(clientId)) {
+    persistDeadLetters();
+  }
+  if (clientActivity.delete(clientId)) {
+    persistClientActivity();
+  }
+  return { dropped, deadLettered };
+}
+
+// Connections authenticated with a key that is neither current nor within its grace window.
+function revokeStaleKeyConnections(client) {
+  const stale = Array.from(activeConnections.get(client.id) || []).filter((conn) => {
+    if (conn.transport === "tls" && !certMatchesClient(client, conn.peerCert)) {
+      return true;
     }
+    return conn.keySha256 ? !acceptsKeyHash(client, conn.keySha256) : client.tlsAuth !== "cert";
   });
+  for (const conn of stale) {
+    sendJson(conn.socket, { action: "error", error: "credentials_revoked" });
+    conn.socket.destroy();
+  }
+  return stale.length;
+}
 
-  socket.on("close", () => {
-    if (connState.clientId) {
-      unregisterConnection(connState.clientId, connState);
-      writeLog("socket client disconnected", {
-        clientId: connState.clientId,
-        lifetimeMs: Date.now() - connState.connectedAt,
-      });
+// Re-reads CONFIG_PATH and swaps clients, groups and tunables in place. Connections
+// stay up unless their client was removed or its key changed.
+function reloadConfig(trigger) {
+  const fileSha = configFileSha();
+  let next;
+  try {
+    next = loadConfig(CONFIG_PATH);
+  } catch (err) {
+    writeLog("config reload rejected", { trigger, error: err.message }, "error");
+    return { ok: false, error: "invalid_config", detail: err.message };
+  }
+  loadedConfigSha = fileSha;
+
+  const previousClients = new Map(config.clients.map((client) => [client.id, client]));
+  const previousAcl = new Map(config.clients.map((client) => [client.id, aclFingerprint(client.id)]));
+  const diff = {
+    added: [],
+    removed: [],
+    keyChanged: [],
+    aclChanged: [],
+    disabled: [],
+    settingsChanged: [],
+    requiresRestart: [],
+    disconnected: 0,
+  };
+
+  for (const key of new Set(Object.keys(config).concat(Object.keys(next)))) {
+    if (key === "clients" || key === "groups" || safeJson(config[key]) === safeJson(next[key])) {
+      continue;
+    }
+    if (RESTART_ONLY_SETTINGS.includes(key)) {
+      diff.requiresRestart.push(key);
+      continue;
+    }
+    diff.settingsChanged.push(key);
+    config[key] = next[key];
+  }
+
+  config.clients = next.clients;
+  config.groups = next.groups;
+  clientsById.clear();
+  for (const client of config.clients) {
+    clientsById.set(client.id, client);
+  }
+  rebuildClientAcls();
+  trackClientActivity();
+
+  for (const client of config.clients) {
+    const previous = previousClients.get(client.id);
+    if (!previous) {
+      diff.added.push(client.id);
+      continue;
+    }
+    if (previous.keySha256 !== client.keySha256 || previous.certSha256 !== client.certSha256) {
+      diff.keyChanged.push(client.id);
+    }
+    if (client.disabled && !previous.disabled) {
+      diff.disabled.push(client.id);
+    }
+    if (previousAcl.get(client.id) !== aclFingerprint(client.id)) {
+      diff.aclChanged.push(client.id);
+    }
+  }
+  for (const clientId of previousClients.keys()) {
+    if (!clientsById.has(clientId)) {
+      diff.removed.push(clientId);
     }
-  });
+  }
 
-  socket.on("error", (err) => {
-    writeLog("socket error", { error: err.message, clientId: connState.clientId }, "warn");
-  });
-});
+  for (const clientId of diff.removed) {
+    diff.disconnected += disconnectClient(clientId, "credentials_revoked");
+    const purged = purgeClient(clientId);
+    if (purged.dropped > 0 || purged.deadLettered > 0) {
+      writeLog("dropped state of removed client", Object.assign({ clientId }, purged), "warn");
+    }
+  }
+  for (const client of config.clients) {
+    diff.disconnected += revokeStaleKeyConnections(client);
+  }
+  for (const clientId of diff.disabled) {
+    diff.disconnected += disconnectClient(clientId, "client_disabled");
+  }
 
-socketServer.on("error", (err) => {
-  writeLog("socket server error", { error: err.message }, "error");
-  process.exit(1);
-});
+  for (const clientId of diff.aclChanged) {
+    for (const conn of activeConnections.get(clientId) || []) {
+      for (const topic of Array.from(conn.topics)) {
+        if (!canSubscribe(clientId, topic)) {
+          unsubscribeTopic(conn, topic);
+        }
+      }
+    }
+  }
 
-socketServer.listen(config.socketPath, () => {
-  setSocketMode(config.socketPath, config.socketMode);
-  writeLog("bridge socket ready", { socketPath: config.socketPath, mode: config.socketMode });
-});
+  pushRuntimeEvent(diff.requiresRestart.length > 0 ? "warn" : "info", "bridge.config", `config reloaded (${trigger})`, diff);
+  writeLog("config reloaded", Object.assign({ trigger }, diff));
+  return { ok: true, trigger, diff };
+}
 
-function parseBody(req) {
-  return new Promise((resolve, reject) => {
-    let data = "";
-    req.on("data", (chunk) => {
-      data += chunk.toString("utf8");
-      if (Buffer.byteLength(data, "utf8") > config.maxMessageBytes * 2) {
-        reject(new Error("body_too_large"));
-      }
-    });
-    req.on("end", () => {
-      if (!data.trim()) {
-        resolve({});
-        return;
-      }
-      try {
-        resolve(JSON.parse(data));
-      } catch {
-        reject(new Error("invalid_json"));
-      }
-    });
-    req.on("error", reject);
-  });
+const CLIENT_EDITABLE_FIELDS = ["canSendTo", "canPublish", "canSubscribe", "groups", "delivery", "expiresAt", "notBefore"];
+
+function clientSummary(client) {
+  return {
+    id: client.id,
+    disabled: client.disabled,
+    notBefore: client.notBefore || null,
+    expiresAt: client.expiresAt || null,
+    lastAuthAt: clientActivity.has(client.id) ? clientActivity.get(client.id).lastAuthAt : null,
+    groups: client.groups,
+    canSendTo: client.canSendTo,
+    canPublish: client.canPublish,
+    canSubscribe: client.canSubscribe,
+    delivery: client.delivery,
+    keyGraceUntil: client.previousKeys.reduce((latest, entry) => (!latest || entry.expiresAt > latest ? entry.expiresAt : latest), null),
+    connections: activeConnections.has(client.id) ? activeConnections.get(client.id).size : 0,
+    queued: getQueue(client.id).length,
+  };
 }
 
-function json(res, code, payload) {
-  res.writeHead(code, {
-    "Content-Type": "application/json; charset=utf-8",
-    "Cache-Control": "no-store",
-  });
-  res.end(JSON.stringify(payload));
+function listClients() {
+  return { ok: true, clients: config.clients.map(clientSummary) };
 }
 
-function isAuthorizedHttp(req) {
-  if (!config.adminTokenSha256) {
-    return false;
+// Client edits go through the raw file rather than the normalized config so the
+// file keeps only what operators wrote; loadConfig validates the candidate
+// before it replaces CONFIG_PATH, then reloadConfig applies it live.
+function updateConfigFile(trigger, mutate) {
+  const raw = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  raw.clients = Array.isArray(raw.clients) ? raw.clients : [];
+  const change = mutate(raw);
+  if (!change.ok) {
+    return change;
   }
-  const token = req.headers["x-bridge-token"];
-  if (!token || Array.isArray(token)) {
-    return false;
+
+  const tmpPath = `${CONFIG_PATH}.tmp`;
+  let mode = 0o600;
+  try {
+    mode = fs.statSync(CONFIG_PATH).mode & 0o777;
+  } catch {
+    // keep default
+  }
+  fs.writeFileSync(tmpPath, `${JSON.stringify(raw, null, 2)}\n`, { mode });
+  try {
+    loadConfig(tmpPath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    return { ok: false, error: "invalid_client", detail: err.message };
+  }
+  fs.renameSync(tmpPath, CONFIG_PATH);
+
+  const reloaded = reloadConfig(trigger);
+  if (!reloaded.ok) {
+    return reloaded;
   }
-  return safeCompareHash(token, config.adminTokenSha256);
+  delete change.ok;
+  return Object.assign({ ok: true }, change, { diff: reloaded.diff });
 }
 
-function buildStatus() {
-  const active = {};
-  for (const [id, set] of activeConnections.entries()) {
-    active[id] = set.size;
+function pickClientFields(body) {
+  const fields = {};
+  for (const key of CLIENT_EDITABLE_FIELDS) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
   }
+  return fields;
+}
 
-  const queued = {};
-  for (const client of config.clients) {
-    queued[client.id] = getQueue(client.id).length;
+function createClient(body) {
+  const id = typeof body.id === "string" ? body.id.trim() : "";
+  if (!id) {
+    return { ok: false, error: "id_required" };
+  }
+  const key = crypto.randomBytes(24).toString("hex");
+  const result = updateConfigFile("api.clients.create", (raw) => {
+    if (raw.clients.some((client) => client.id === id)) {
+      return { ok: false, error: "client_exists" };
+    }
+    raw.clients.push(Object.assign({ id, keySha256: sha256(key) }, pickClientFields(body)));
+    return { ok: true };
+  });
+  if (!result.ok) {
+    return result;
   }
+  writeLog("client created", { clientId: id });
+  return Object.assign(result, { client: clientSummary(clientsById.get(id)), key });
+}
 
-  return {
-    ts: nowIso(),
-    socketPath: config.socketPath,
-    active,
-    queued,
-    clients: config.clients.map((c) => ({ id: c.id, canSendTo: c.canSendTo })),
-  };
+function updateClient(body) {
+  const id = typeof body.id === "string" ? body.id.trim() : "";
+  if (!id) {
+    return { ok: false, error: "id_required" };
+  }
+  const fields = pickClientFields(body);
+  if (body.disabled !== undefined) {
+    if (typeof body.disabled !== "boolean") {
+      return { ok: false, error: "invalid_disabled" };
+    }
+    fields.disabled = body.disabled;
+  }
+  if (Object.keys(fields).length === 0) {
+    return { ok: false, error: "no_changes" };
+  }
+  const result = updateConfigFile("api.clients.update", (raw) => {
+    const entry = raw.clients.find((client) => client.id === id);
+    if (!entry) {
+      return { ok: false, error: "unknown_client" };
+    }
+    Object.assign(entry, fields);
+    if (entry.disabled === false) {
+      delete entry.disabled;
+    }
+    return { ok: true };
+  });
+  if (!result.ok) {
+    return result;
+  }
+  writeLog("client updated", { clientId: id, fields: Object.keys(fields) });
+  return Object.assign(result, { client: clientSummary(clientsById.get(id)) });
 }
 
-function routeAdminSend(body) {
-  if (!body.asClient || !body.to) {
-    return { ok: false, error: "asClient_and_to_required" };
+function rotateClientKey(body) {
+  const id = typeof body.id === "string" ? body.id.trim() : "";
+  if (!id) {
+    return { ok: false, error: "id_required" };
+  }
+  const graceMs = body.graceMs === undefined ? config.keyRotationGraceMs : Number(body.graceMs);
+  if (!Number.isInteger(graceMs) || graceMs < 0) {
+    return { ok: false, error: "invalid_graceMs" };
+  }
+  const key = crypto.randomBytes(24).toString("hex");
+  const now = Date.now();
+  const graceUntil = graceMs > 0 ? new Date(now + graceMs).toISOString() : null;
+  const result = updateConfigFile("api.clients.rotate", (raw) => {
+    const entry = raw.clients.find((client) => client.id === id);
+    if (!entry) {
+      return { ok: false, error: "unknown_client" };
+    }
+    const previousKeys = (Array.isArray(entry.previousKeys) ? entry.previousKeys : []).filter(
+      (item) => item && Date.parse(item.expiresAt) > now,
+    );
+    if (graceUntil) {
+      previousKeys.push({ keySha256: entry.keySha256, expiresAt: graceUntil });
+    }
+    entry.keySha256 = sha256(key);
+    if (previousKeys.length > 0) {
+      entry.previousKeys = previousKeys;
+    } else {
+      delete entry.previousKeys;
+    }
+    return { ok: true };
+  });
+  if (!result.ok) {
+    return result;
   }
-  if (!clientsById.has(body.asClient) || !clientsById.has(body.to)) {
-    return { ok: false, error: "unknown_client" };
+  pushRuntimeEvent("info", "bridge.keys", `key rotated for ${id}`, { clientId: id, graceUntil });
+  writeLog("client key rotated", { clientId: id, graceUntil });
+  return Object.assign(result, { client: clientSummary(clientsById.get(id)), key, graceUntil });
+}
+
+// Drops previousKeys past their grace window from the config file; the reload
+// that follows disconnects anyone still using them.
+function expireRotatedKeys() {
+  const now = Date.now();
+  const expiring = config.clients
+    .filter((client) => client.previousKeys.some((entry) => Date.parse(entry.expiresAt) <= now))
+    .map((client) => client.id);
+  if (expiring.length === 0) {
+    return;
   }
-  if (!canRoute(body.asClient, body.to)) {
-    return { ok: false, error: "route_not_allowed" };
+
+  for (const client of config.clients) {
+    client.previousKeys = client.previousKeys.filter((entry) => Date.parse(entry.expiresAt) > now);
+    revokeStaleKeyConnections(client);
   }
+  pushRuntimeEvent("info", "bridge.keys", "rotated keys expired", { clients: expiring });
 
-  const envelope = {
-    id: body.id || randomId("admin"),
-    from: body.asClient,
-    to: body.to,
-    type: body.type || "message",
-    payload: body.payload === undefined ? null : body.payload,
-    correlationId: body.correlationId || null,
-    ts: nowIso(),
-  };
+  // Only rewrite config.json when it still matches what is loaded; otherwise the
+  // write would apply the operator's unreloaded edits. Those keys stay pruned in
+  // memory and are dropped from the file by the sweep after the next reload.
+  if (configFileSha() !== loadedConfigSha) {
+    writeLog("config has unapplied edits; expired rotated keys pruned in memory only", { clients: expiring }, "warn");
+    return;
+  }
+  try {
+    const result = updateConfigFile("key_rotation.expired", (raw) => {
+      for (const entry of raw.clients) {
+        if (!Array.isArray(entry.previousKeys)) {
+          continue;
+        }
+        entry.previousKeys = entry.previousKeys.filter((item) => item && Date.parse(item.expiresAt) > now);
+        if (entry.previousKeys.length === 0) {
+          delete entry.previousKeys;
+        }
+      }
+      return { ok: true };
+    });
+    if (!result.ok) {
+      writeLog("rotated key expiry failed", { clients: expiring, error: result.error, detail: result.detail }, "error");
+    }
+  } catch (err) {
+    writeLog("rotated key expiry failed", { clients: expiring, error: err.message }, "error");
+  }
+}
 
-  const routed = deliverEnvelope(envelope);
-  return { ok: true, envelope, routed };
+function deleteClient(body) {
+  const id = typeof body.id === "string" ? body.id.trim() : "";
+  if (!id) {
+    return { ok: false, error: "id_required" };
+  }
+  const result = updateConfigFile("api.clients.delete", (raw) => {
+    const index = raw.clients.findIndex((client) => client.id === id);
+    if (index === -1) {
+      return { ok: false, error: "unknown_client" };
+    }
+    raw.clients.splice(index, 1);
+    return { ok: true };
+  });
+  if (!result.ok) {
+    return result;
+  }
+  writeLog("client deleted", { clientId: id });
+  return Object.assign(result, { id });
 }
 
 function pathExists(filePath) {
@@ -2585,6 +5634,49 @@ function buildAlerts(input) {
     });
   }
 
+  const deadLetteredTotal = Object.values(asObject(input.bridgeStatus.deadLettered)).reduce((sum, value) => sum + value, 0);
+  if (deadLetteredTotal > 0) {
+    alerts.push({
+      level: "warn",
+      message: `${deadLetteredTotal} dead-lettered envelope(s) awaiting replay or purge.`,
+      reason: "dead_letters",
+    });
+  }
+
+  const credentials = asObject(input.bridgeStatus.credentials);
+  if (Array.isArray(credentials.expired) && credentials.expired.length > 0) {
+    alerts.push({
+      level: "error",
+      message: `Client credentials expired: ${credentials.expired.join(", ")}.`,
+      reason: "credentials_expired",
+    });
+  }
+  if (Array.isArray(credentials.expiring) && credentials.expiring.length > 0) {
+    alerts.push({
+      level: "warn",
+      message: `Client credentials expiring soon: ${credentials.expiring.join(", ")}. Rotate them.`,
+      reason: "credentials_expiring",
+    });
+  }
+  if (Array.isArray(credentials.dormant) && credentials.dormant.length > 0) {
+    alerts.push({
+      level: "info",
+      message: `${credentials.dormant.length} client key(s) unused for ${config.dormantClientDays}+ days: ${credentials.dormant.join(", ")}.`,
+      reason: "credentials_dormant",
+    });
+  }
+
+  const auth = asObject(input.bridgeStatus.auth);
+  const lockedOut = Array.isArray(auth.lockedOut) ? auth.lockedOut : [];
+  if (toNumber(auth.recentFailures, 0) >= config.authFailureAlertThreshold || lockedOut.length > 0) {
+    alerts.push({
+      level: lockedOut.length > 0 ? "error" : "warn",
+      message: `Authentication failures spiking: ${auth.recentFailures} in the last 5 min` +
+        (lockedOut.length > 0 ? `; locked out: ${lockedOut.map((entry) => entry.key).join(", ")}.` : "."),
+      reason: "auth_failures",
+    });
+  }
+
   const requiredDown = asObject(input.coreServices).requiredDown;
   if (Array.isArray(requiredDown) && requiredDown.length > 0) {
     alerts.push({
@@ -2958,7 +6050,10 @@ function panelHtml() {
       <div class="subtitle">10-second cockpit: health, activity, next actions</div>
     </div>
     <div class="token-wrap">
-      <input id="token" type="password" placeholder="Admin token" />
+      <span id="sessionInfo" class="session-info"></span>
+      <input id="token" type="password" placeholder="Admin token" autocomplete="off" />
+      <button id="login">Log in</button>
+      <button id="logout" hidden>Log out</button>
       <button id="refresh">Refresh</button>
     </div>
   </header>
@@ -3029,6 +6124,13 @@ function panelHtml() {
         <pre id="serviceOutput">No service actions run yet.</pre>
       </section>
 
+      <section class="card dlq">
+        <h2>Dead Letters</h2>
+        <div id="dlqSummary" class="helper"></div>
+        <div id="dlqList" class="services-list"></div>
+        <pre id="dlqOutput">No dead-letter actions run yet.</pre>
+      </section>
+
       <section class="card voice" id="voiceCard">
         <div class="row voice-head" id="voiceDragHandle">
           <h2>Voice Chat <span id="voiceGlobalState" class="voice-global-state idle">Idle</span></h2>
@@ -3146,6 +6248,9 @@ function serveAgentAvatar(req, res, agentId) {
 }
 
 const httpServer = http.createServer(async (req, res) => {
+  if (!hostAllowed(req)) {
+    return json(res, 403, { error: "host_not_allowed" });
+  }
   const url = new URL(req.url, `http://${req.headers.host || "127.0.0.1"}`);
 
   if (url.pathname === "/health") {
@@ -3193,10 +6298,100 @@ const httpServer = http.createServer(async (req, res) => {
     return json(res, 404, { error: "not_found" });
   }
 
-  if (!isAuthorizedHttp(req)) {
+  // The address lockout applies to every request that presents a token, checked before
+  // the token itself so a locked-out caller learns nothing; session cookies pass.
+  const authKeys = [httpAuthKey(req)];
+  const lockedOut = () => {
+    const lockedMs = authLockRemaining(authKeys);
+    if (lockedMs <= 0) {
+      return false;
+    }
+    res.setHeader("Retry-After", String(Math.ceil(lockedMs / 1000)));
+    json(res, 429, { error: "locked_out", retryAfterMs: lockedMs });
+    return true;
+  };
+
+  if (req.method === "POST" && url.pathname === "/api/session") {
+    const rejected = originError(req, "session");
+    if (rejected) {
+      return json(res, 403, { ok: false, error: rejected });
+    }
+    try {
+      const body = await parseBody(req);
+      if (lockedOut()) {
+        return;
+      }
+      const token = matchAdminToken(body.token);
+      if (!token) {
+        recordAuthFailure(authKeys, { channel: "http", peer: req.socket.remoteAddress || null, path: url.pathname });
+        return json(res, 401, { ok: false, error: "unauthorized" });
+      }
+      const { sid, session } = createAdminSession(token);
+      writeLog("panel session opened", { token: token.name, peer: req.socket.remoteAddress || null });
+      appendAudit("admin.session", { token: token.name, result: "opened", peer: req.socket.remoteAddress || null });
+      res.setHeader("Set-Cookie", sessionCookie(req, sid, Math.floor(config.panelSessionTtlMs / 1000)));
+      return json(res, 200, {
+        ok: true,
+        name: token.name,
+        scopes: token.scopes,
+        expiresAt: new Date(session.expiresAt).toISOString(),
+      });
+    } catch (err) {
+      return json(res, 400, { ok: false, error: err.message || "bad_request" });
+    }
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/session/logout") {
+    const rejected = originError(req, "session");
+    if (rejected) {
+      return json(res, 403, { ok: false, error: rejected });
+    }
+    const found = findAdminSession(req);
+    if (found) {
+      adminSessions.delete(found.key);
+      writeLog("panel session closed", { token: found.token.name });
+      appendAudit("admin.session", { token: found.token.name, result: "closed", peer: req.socket.remoteAddress || null });
+    }
+    res.setHeader("Set-Cookie", sessionCookie(req, "", 0));
+    return json(res, 200, { ok: true });
+  }
+
+  const presentsToken = req.headers["x-bridge-token"] !== undefined;
+  if (presentsToken && lockedOut()) {
+    return;
+  }
+  const admin = authenticateAdmin(req);
+  if (!admin) {
+    if (presentsToken) {
+      recordAuthFailure(authKeys, { channel: "http", peer: req.socket.remoteAddress || null, path: url.pathname });
+    }
     return json(res, 401, { error: "unauthorized" });
   }
 
+  if (req.method === "POST") {
+    const rejected = originError(req, admin.via);
+    if (rejected) {
+      writeLog("admin request origin rejected", { token: admin.name, origin: req.headers.origin || null, path: url.pathname }, "warn");
+      return json(res, 403, { error: rejected });
+    }
+  }
+
+  const requiredScope = ADMIN_ROUTE_SCOPES[`${req.method} ${url.pathname}`];
+  if (requiredScope && !hasScope(admin.scopes, requiredScope)) {
+    writeLog("admin scope denied", { token: admin.name, scope: requiredScope, path: url.pathname }, "warn");
+    return json(res, 403, { error: "forbidden", scope: requiredScope });
+  }
+
+  if (req.method !== "GET") {
+    res.on("finish", () => {
+      appendAudit("admin.request", { token: admin.name, via: admin.via, method: req.method, path: url.pathname, status: res.statusCode });
+    });
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/auth/whoami") {
+    return json(res, 200, { ok: true, name: admin.name, scopes: admin.scopes, via: admin.via, expiresAt: admin.expiresAt || null });
+  }
+
   if (req.method === "GET" && url.pathname === "/api/status") {
     return json(res, 200, buildStatus());
   }
@@ -3204,7 +6399,7 @@ const httpServer = http.createServer(async (req, res) => {
   if (req.method === "POST" && url.pathname === "/api/send") {
     try {
       const body = await parseBody(req);
-      const result = routeAdminSend(body);
+      const result = routeAdminSend(body, admin.name);
       if (!result.ok) {
         return json(res, 400, result);
       }
@@ -3214,6 +6409,102 @@ const httpServer = http.createServer(async (req, res) => {
     }
   }
 
+  if (req.method === "POST" && url.pathname === "/api/config/reload") {
+    const result = reloadConfig("api");
+    return json(res, result.ok ? 200 : 400, result);
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/clients") {
+    return json(res, 200, listClients());
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/clients") {
+    try {
+      const body = await parseBody(req);
+      const result = createClient(body);
+      return json(res, result.ok ? 201 : 400, result);
+    } catch (err) {
+      return json(res, 400, { ok: false, error: err.message || "bad_request" });
+    }
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/clients/update") {
+    try {
+      const body = await parseBody(req);
+      const result = updateClient(body);
+      return json(res, result.ok ? 200 : result.error === "unknown_client" ? 404 : 400, result);
+    } catch (err) {
+      return json(res, 400, { ok: false, error: err.message || "bad_request" });
+    }
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/clients/disable") {
+    try {
+      const body = await parseBody(req);
+      const result = updateClient({ id: body.id, disabled: body.disabled !== false });
+      return json(res, result.ok ? 200 : result.error === "unknown_client" ? 404 : 400, result);
+    } catch (err) {
+      return json(res, 400, { ok: false, error: err.message || "bad_request" });
+    }
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/clients/rotate") {
+    try {
+      const body = await parseBody(req);
+      const result = rotateClientKey(body);
+      return json(res, result.ok ? 200 : result.error === "unknown_client" ? 404 : 400, result);
+    } catch (err) {
+      return json(res, 400, { ok: false, error: err.message || "bad_request" });
+    }
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/clients/delete") {
+    try {
+      const body = await parseBody(req);
+      const result = deleteClient(body);
+      return json(res, result.ok ? 200 : result.error === "unknown_client" ? 404 : 400, result);
+    } catch (err) {
+      return json(res, 400, { ok: false, error: err.message || "bad_request" });
+    }
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/dlq") {
+    const clientId = String(url.searchParams.get("clientId") || "").trim();
+    return json(res, 200, listDeadLetters(clientId));
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/dlq/entry") {
+    const dlqId = String(url.searchParams.get("id") || "").trim();
+    if (!dlqId) {
+      return json(res, 400, { ok: false, error: "id_required" });
+    }
+    const found = findDeadLetter(dlqId);
+    if (!found) {
+      return json(res, 404, { ok: false, error: "dlq_entry_not_found" });
+    }
+    return json(res, 200, { ok: true, entry: found.entry });
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/dlq/purge") {
+    try {
+      const body = await parseBody(req);
+      const result = purgeDeadLetters(body);
+      return json(res, result.ok ? 200 : 400, result);
+    } catch (err) {
+      return json(res, 400, { ok: false, error: err.message || "bad_request" });
+    }
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/dlq/replay") {
+    try {
+      const body = await parseBody(req);
+      const result = replayDeadLetters(body);
+      return json(res, result.ok ? 200 : 400, result);
+    } catch (err) {
+      return json(res, 400, { ok: false, error: err.message || "bad_request" });
+    }
+  }
+
   if (req.method === "GET" && url.pathname === "/api/mission-control/snapshot") {
     try {
       return json(res, 200, buildMissionSnapshot());
@@ -3230,6 +6521,7 @@ const httpServer = http.createServer(async (req, res) => {
   if (req.method === "POST" && url.pathname === "/api/mission-control/services/start-required") {
     try {
       const result = await startRequiredCoreServices();
+      appendAudit("service", { token: admin.name, serviceId: null, operation: "start-required", ok: result.ok === true });
       return json(res, result.ok ? 200 : 400, result);
     } catch (err) {
       return json(res, 500, { ok: false, error: err.message || "start_required_failed" });
@@ -3248,6 +6540,7 @@ const httpServer = http.createServer(async (req, res) => {
         return json(res, 400, { ok: false, error: "operation_required" });
       }
       const result = await runCoreServiceOperation(serviceId, operation);
+      appendAudit("service", { token: admin.name, serviceId, operation, ok: result.ok === true });
       return json(res, result.ok ? 200 : 400, result);
     } catch (err) {
       return json(res, 400, { ok: false, error: err.message || "bad_request" });
@@ -3292,6 +6585,7 @@ const httpServer = http.createServer(async (req, res) => {
         return json(res, 400, { ok: false, error: "actionId_required" });
       }
       const result = await runMissionAction(actionId);
+      appendAudit("action", { token: admin.name, actionId, ok: result.ok === true });
       const code = result.ok ? 200 : 400;
       return json(res, code, result);
     } catch (err) {
@@ -3307,6 +6601,8 @@ httpServer.on("error", (err) => {
   process.exit(1);
 });
 
+httpServer.on("upgrade", handleUpgrade);
+
 httpServer.listen(config.httpPort, config.httpHost, () => {
   writeLog("bridge control panel ready", {
     url: `http://${config.httpHost}:${config.httpPort}/`,
@@ -3325,6 +6621,10 @@ function shutdown(signal) {
     }
   });
 
+  if (tlsServer) {
+    tlsServer.close();
+  }
+
   httpServer.close(() => {
     process.exit(0);
   });
@@ -3334,5 +6634,6 @@ function shutdown(signal) {
 
 process.on("SIGINT", () => shutdown("SIGINT"));
 process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGHUP", () => reloadConfig("SIGHUP"));
 
 writeLog("openclaw bridge starting", { configPath: CONFIG_PATH });
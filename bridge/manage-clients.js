@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+
+const rootDir = path.resolve(__dirname, "..");
+const configPath = path.resolve(process.env.OPENCLAW_BRIDGE_CONFIG || path.join(rootDir, "bridge", "config.json"));
+
+function usage() {
+  console.log(`Usage:
+  node bridge/manage-clients.js ls
+  node bridge/manage-clients.js add <client-id> [--can-send-to a,b] [--groups g1,g2] [--delivery broadcast|round_robin|least_busy]
+  node bridge/manage-clients.js set <client-id> [--can-send-to a,b] [--groups g1,g2] [--delivery mode] [--expires-at ISO] [--not-before ISO]
+  node bridge/manage-clients.js rotate <client-id> [--grace-ms 86400000]
+  node bridge/manage-clients.js disable <client-id>
+  node bridge/manage-clients.js enable <client-id>
+  node bridge/manage-clients.js rm <client-id>
+
+Admin token is read from OPENCLAW_BRIDGE_ADMIN_TOKEN or --token.`);
+}
+
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const t = argv[i];
+    if (t === "--token") {
+      out.token = argv[++i];
+    } else if (t === "--can-send-to") {
+      out.canSendTo = splitList(argv[++i]);
+    } else if (t === "--groups") {
+      out.groups = splitList(argv[++i]);
+    } else if (t === "--grace-ms") {
+      out.graceMs = Number(argv[++i]);
+    } else if (t === "--expires-at") {
+      out.expiresAt = argv[++i];
+    } else if (t === "--not-before") {
+      out.notBefore = argv[++i];
+    } else if (t === "--delivery") {
+      out.delivery = argv[++i];
+    } else {
+      out._.push(t);
+    }
+  }
+  return out;
+}
+
+function splitList(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function readEndpoint() {
+  let cfg = {};
+  try {
+    cfg = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    console.error(`Failed to read config: ${err.message}`);
+    process.exit(1);
+  }
+  return { host: cfg.httpHost || "127.0.0.1", port: cfg.httpPort || 8787 };
+}
+
+function callApi(method, pathname, body, token) {
+  const { host, port } = readEndpoint();
+  const data = body === undefined ? null : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host,
+        port,
+        method,
+        path: pathname,
+        headers: Object.assign(
+          { "x-bridge-token": token },
+          data ? { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(data) } : {},
+        ),
+        timeout: 5000,
+      },
+      (res) => {
+        let raw = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          raw += chunk;
+        });
+        res.on("end", () => {
+          try {
+            resolve({ status: res.statusCode, body: JSON.parse(raw) });
+          } catch {
+            reject(new Error(`unexpected response (${res.statusCode})`));
+          }
+        });
+      },
+    );
+    req.on("timeout", () => req.destroy(new Error("request timed out")));
+    req.on("error", reject);
+    if (data) {
+      req.write(data);
+    }
+    req.end();
+  });
+}
+
+function editableFields(args) {
+  const fields = {};
+  for (const key of ["canSendTo", "groups", "delivery", "expiresAt", "notBefore"]) {
+    if (args[key] !== undefined) {
+      fields[key] = args[key];
+    }
+  }
+  return fields;
+}
+
+// canSendTo entries are ids/patterns or rule objects ({to, types, commands}).
+function formatRoute(rule) {
+  if (typeof rule === "string") {
+    return rule;
+  }
+  const limits = [];
+  if (Array.isArray(rule.types)) {
+    limits.push(`types=${rule.types.join("|")}`);
+  }
+  if (Array.isArray(rule.commands)) {
+    limits.push(`commands=${rule.commands.join("|")}`);
+  }
+  return limits.length > 0 ? `${rule.to}[${limits.join(" ")}]` : String(rule.to);
+}
+
+function printClients(clients) {
+  for (const client of clients) {
+    const flags = [
+      client.disabled ? "disabled" : "enabled",
+      `conn=${client.connections}`,
+      `queued=${client.queued}`,
+      `lastAuth=${client.lastAuthAt || "never"}`,
+    ];
+    if (client.expiresAt) {
+      flags.push(`expires=${client.expiresAt}`);
+    }
+    console.log(`${client.id}\t${flags.join(" ")}\tcanSendTo=${client.canSendTo.map(formatRoute).join(",") || "-"}\tgroups=${client.groups.join(",") || "-"}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cmd = args._[0];
+  const id = args._[1];
+  const token = args.token || process.env.OPENCLAW_BRIDGE_ADMIN_TOKEN;
+
+  if (!cmd || (cmd !== "ls" && !id)) {
+    usage();
+    process.exit(1);
+  }
+  if (!token) {
+    console.error("Admin token required (OPENCLAW_BRIDGE_ADMIN_TOKEN or --token)");
+    process.exit(1);
+  }
+
+  let result;
+  if (cmd === "ls") {
+    result = await callApi("GET", "/api/clients", undefined, token);
+  } else if (cmd === "add") {
+    result = await callApi("POST", "/api/clients", Object.assign({ id }, editableFields(args)), token);
+  } else if (cmd === "set") {
+    result = await callApi("POST", "/api/clients/update", Object.assign({ id }, editableFields(args)), token);
+  } else if (cmd === "rotate") {
+    result = await callApi("POST", "/api/clients/rotate", { id, graceMs: args.graceMs }, token);
+  } else if (cmd === "disable" || cmd === "enable") {
+    result = await callApi("POST", "/api/clients/disable", { id, disabled: cmd === "disable" }, token);
+  } else if (cmd === "rm") {
+    result = await callApi("POST", "/api/clients/delete", { id }, token);
+  } else {
+    usage();
+    process.exit(1);
+  }
+
+  if (!result.body.ok) {
+    const detail = result.body.detail ? ` (${result.body.detail})` : "";
+    console.error(`Failed: ${result.body.error || result.status}${detail}`);
+    process.exit(1);
+  }
+
+  if (cmd === "ls") {
+    printClients(result.body.clients);
+  } else if (cmd === "add") {
+    console.log(`Created client ${id}`);
+    console.log(`Client key ${id}: ${result.body.key}`);
+    console.log("This key is shown once; store it with the client.");
+  } else if (cmd === "rotate") {
+    console.log(`Rotated key for ${id}`);
+    console.log(`Client key ${id}: ${result.body.key}`);
+    console.log(result.body.graceUntil ? `Old key accepted until ${result.body.graceUntil}` : "Old key revoked immediately");
+  } else if (cmd === "rm") {
+    console.log(`Deleted client ${id}`);
+  } else {
+    printClients([result.body.client]);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -7,6 +7,8 @@ const state = {
   fetchError: null,
   serviceBusy: {},
   serviceBulkBusy: false,
+  dlqBusy: {},
+  session: null,
 };
 
 // Human-friendly agent titles (fallbacks if the server doesn't provide name/subtitle)
@@ -36,10 +38,16 @@ const feedWindowOptions = [
 import { initVoiceCard } from './voice.js'
 
 const tokenInput = document.getElementById("token");
-tokenInput.value = localStorage.getItem("openclawBridgeToken") || "";
-tokenInput.addEventListener("input", () => {
-  localStorage.setItem("openclawBridgeToken", tokenInput.value);
+// The admin token is only exchanged for an HttpOnly session cookie; drop copies
+// left in storage by older panel versions.
+localStorage.removeItem("openclawBridgeToken");
+tokenInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") {
+    login();
+  }
 });
+document.getElementById("login").addEventListener("click", login);
+document.getElementById("logout").addEventListener("click", logout);
 
 document.getElementById("refresh").addEventListener("click", fetchSnapshot);
 document.getElementById("feedLevel").addEventListener("change", (event) => {
@@ -52,10 +60,64 @@ document.getElementById("scheduleSave")?.addEventListener("click", submitSchedul
 function apiHeaders() {
   return {
     "Content-Type": "application/json",
-    "x-bridge-token": tokenInput.value,
   };
 }
 
+function renderSession() {
+  const loggedIn = Boolean(state.session);
+  tokenInput.hidden = loggedIn;
+  document.getElementById("login").hidden = loggedIn;
+  document.getElementById("logout").hidden = !loggedIn;
+  document.getElementById("sessionInfo").textContent = loggedIn
+    ? `${state.session.name} · until ${fmtTs(state.session.expiresAt)}`
+    : "";
+}
+
+async function login() {
+  const token = tokenInput.value.trim();
+  if (!token) {
+    return;
+  }
+  try {
+    const res = await fetch("/api/session", {
+      method: "POST",
+      headers: apiHeaders(),
+      body: JSON.stringify({ token }),
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      throw new Error(data.error === "locked_out" ? "Too many failed logins, retry later" : "Login failed");
+    }
+    tokenInput.value = "";
+    state.session = data;
+    renderSession();
+    await fetchSnapshot();
+  } catch (err) {
+    state.fetchError = String(err.message || err);
+    render();
+  }
+}
+
+async function logout() {
+  try {
+    await fetch("/api/session/logout", { method: "POST", headers: apiHeaders() });
+  } catch {}
+  state.session = null;
+  state.snapshot = null;
+  renderSession();
+  render();
+}
+
+async function loadSession() {
+  try {
+    const res = await fetch("/api/auth/whoami");
+    state.session = res.ok ? await res.json() : null;
+  } catch {
+    state.session = null;
+  }
+  renderSession();
+}
+
 function collapseStorageKey(cardId) {
   return `mc_card_collapsed_${cardId}`;
 }
@@ -285,7 +347,7 @@ function dataBannerText(snapshot) {
   if (!snapshot) {
     return {
       cls: "error",
-      text: "Data missing: cannot load Mission Control snapshot. Set Admin Token from `./scripts/openclaw-bridge secrets admin-token` and retry.",
+      text: "Data missing: cannot load Mission Control snapshot. Log in with the admin token from `./scripts/bridge secrets admin-token` and retry.",
     };
   }
 
@@ -831,6 +893,81 @@ function renderCoreServices(snapshot) {
   });
 }
 
+function renderDeadLetters(snapshot) {
+  const summaryRoot = document.getElementById("dlqSummary");
+  const listRoot = document.getElementById("dlqList");
+  const outputRoot = document.getElementById("dlqOutput");
+  if (!summaryRoot || !listRoot) {
+    return;
+  }
+
+  if (!snapshot) {
+    summaryRoot.textContent = "";
+    listRoot.innerHTML = '<div class="empty">No dead-letter data yet.</div>';
+    return;
+  }
+
+  const depth = snapshot.bridge?.deadLettered || {};
+  const rows = Object.entries(depth).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const total = rows.reduce((sum, [, count]) => sum + count, 0);
+  summaryRoot.innerHTML = total === 0
+    ? '<span class="ok">No dead-lettered envelopes</span>'
+    : `<span class="warn-text">${total} dead-lettered envelope(s)</span>`;
+
+  if (rows.length === 0) {
+    listRoot.innerHTML = '<div class="empty">No clients configured.</div>';
+    return;
+  }
+
+  listRoot.innerHTML = rows
+    .map(([clientId, count]) => {
+      const disabled = count === 0 || Boolean(state.dlqBusy[clientId]);
+      return `<article class="service-row">
+        <div class="service-meta">
+          <div class="title">${esc(clientId)}</div>
+          <div class="meta"><span class="${count > 0 ? "warn-text" : "ok"}">${esc(count)} dead</span> · queued ${esc(snapshot.bridge?.queued?.[clientId] || 0)}</div>
+        </div>
+        <div class="service-controls">
+          <button data-dlq-client="${esc(clientId)}" data-op="replay" ${disabled ? "disabled" : ""}>Replay</button>
+          <button data-dlq-client="${esc(clientId)}" data-op="purge" ${disabled ? "disabled" : ""}>Purge</button>
+        </div>
+      </article>`;
+    })
+    .join("");
+
+  listRoot.querySelectorAll("button[data-dlq-client]").forEach((button) => {
+    button.addEventListener("click", async () => {
+      const clientId = button.dataset.dlqClient;
+      const operation = button.dataset.op;
+      if (!clientId || !operation) {
+        return;
+      }
+      const verb = operation === "replay" ? "Replay" : "Purge";
+      if (!confirm(`${verb} all dead letters for ${clientId}?`)) {
+        return;
+      }
+
+      state.dlqBusy[clientId] = true;
+      renderDeadLetters(snapshot);
+      try {
+        const res = await fetch(`/api/dlq/${operation}`, {
+          method: "POST",
+          headers: apiHeaders(),
+          body: JSON.stringify({ clientId }),
+        });
+        const data = await res.json();
+        outputRoot.textContent = JSON.stringify(data, null, 2);
+        await fetchSnapshot();
+      } catch (err) {
+        outputRoot.textContent = JSON.stringify({ error: String(err.message || err) }, null, 2);
+      } finally {
+        delete state.dlqBusy[clientId];
+        render();
+      }
+    });
+  });
+}
+
 function renderNotes(snapshot) {
   const root = document.getElementById("notesList");
   if (!root) {
@@ -894,6 +1031,7 @@ function render() {
   renderCalendar(snapshot);
   renderFeed(snapshot);
   renderCoreServices(snapshot);
+  renderDeadLetters(snapshot);
   renderNotes(snapshot);
   renderActions(snapshot);
 }
@@ -903,7 +1041,9 @@ async function fetchSnapshot() {
     const res = await fetch("/api/mission-control/snapshot", { headers: apiHeaders() });
     if (!res.ok) {
       if (res.status === 401) {
-        throw new Error("Unauthorized (set Admin Token)");
+        state.session = null;
+        renderSession();
+        throw new Error("Unauthorized (log in with an admin token)");
       }
       throw new Error(`HTTP ${res.status}`);
     }
@@ -922,5 +1062,9 @@ renderFeedWindowControls();
 initCollapsibleCards();
 initVoiceCard();
 render();
-fetchSnapshot();
-setInterval(fetchSnapshot, 3000);
+loadSession().then(fetchSnapshot);
+setInterval(() => {
+  if (state.session) {
+    fetchSnapshot();
+  }
+}, 3000);
@@ -39,11 +39,22 @@ const secrets = {
   generatedAt: new Date().toISOString(),
   configPath,
   adminToken: randSecret(),
+  adminTokens: {},
   clients: {},
 };
 
 config.adminTokenSha256 = sha256(secrets.adminToken);
 
+for (const token of Array.isArray(config.adminTokens) ? config.adminTokens : []) {
+  if (!token || !token.name) {
+    console.error("Found admin token without name in config.adminTokens");
+    process.exit(1);
+  }
+  const secret = randSecret();
+  secrets.adminTokens[token.name] = secret;
+  token.tokenSha256 = sha256(secret);
+}
+
 for (const client of config.clients) {
   if (!client.id) {
     console.error("Found client without id in config.clients");
@@ -70,3 +81,6 @@ for (const [clientId, secret] of Object.entries(secrets.clients)) {
   console.log(`Client key ${clientId}: ${secret}`);
 }
 console.log(`Admin panel token: ${secrets.adminToken}`);
+for (const [name, secret] of Object.entries(secrets.adminTokens)) {
+  console.log(`Admin token ${name}: ${secret}`);
+}
@@ -28,7 +28,7 @@ function resolveSecretsPath(customPath) {
 function usage() {
   console.log(`Usage:
   node bridge/read-secrets.js show [--path <file>]
-  node bridge/read-secrets.js admin-token [--path <file>]
+  node bridge/read-secrets.js admin-token [<name>] [--path <file>]
   node bridge/read-secrets.js client-key <client-id> [--path <file>]`);
 }
 
@@ -66,6 +66,9 @@ if (cmd === "show") {
   console.log(`secretsPath=${secretsPath}`);
   console.log(`generatedAt=${secrets.generatedAt || "unknown"}`);
   console.log(`adminToken=${secrets.adminToken || ""}`);
+  for (const [name, token] of Object.entries(secrets.adminTokens || {})) {
+    console.log(`adminToken.${name}=${token}`);
+  }
   const clients = secrets.clients || {};
   for (const [id, key] of Object.entries(clients)) {
     console.log(`client.${id}=${key}`);
@@ -74,11 +77,13 @@ if (cmd === "show") {
 }
 
 if (cmd === "admin-token") {
-  if (!secrets.adminToken) {
-    console.error("adminToken missing");
+  const name = args._[1];
+  const token = name ? (secrets.adminTokens || {})[name] : secrets.adminToken;
+  if (!token) {
+    console.error(name ? `Unknown admin token: ${name}` : "adminToken missing");
     process.exit(1);
   }
-  process.stdout.write(String(secrets.adminToken));
+  process.stdout.write(String(token));
   process.exit(0);
 }
 
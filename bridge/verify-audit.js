@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const rootDir = path.resolve(__dirname, "..");
+const configPath = path.resolve(process.env.OPENCLAW_BRIDGE_CONFIG || path.join(rootDir, "bridge", "config.json"));
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function usage() {
+  console.log(`Usage:
+  node bridge/verify-audit.js [--file <audit.jsonl>]
+
+Checks the hash chain across <file>.N ... <file>.1, <file> (oldest first).`);
+}
+
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const t = argv[i];
+    if (t === "--file") {
+      out.file = argv[++i];
+    } else if (t === "--help" || t === "-h") {
+      out.help = true;
+    } else {
+      out._.push(t);
+    }
+  }
+  return out;
+}
+
+function resolveAuditFile(customPath) {
+  if (customPath) {
+    return path.resolve(customPath);
+  }
+  try {
+    const cfg = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    if (cfg.auditFile) {
+      return path.resolve(cfg.auditFile);
+    }
+  } catch {
+    // fall back to the daemon default
+  }
+  return path.join(rootDir, "bridge", "runtime", "audit.jsonl");
+}
+
+// Rotated files first, highest index (oldest) to lowest, then the live file.
+function chainFiles(auditFile) {
+  const rotated = [];
+  for (let index = 1; fs.existsSync(`${auditFile}.${index}`); index += 1) {
+    rotated.unshift(`${auditFile}.${index}`);
+  }
+  return fs.existsSync(auditFile) ? rotated.concat(auditFile) : rotated;
+}
+
+function fail(file, lineNo, message) {
+  console.error(`FAIL ${file}:${lineNo}: ${message}`);
+  process.exit(1);
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.help) {
+  usage();
+  process.exit(0);
+}
+
+const auditFile = resolveAuditFile(args.file);
+const files = chainFiles(auditFile);
+if (files.length === 0) {
+  console.error(`Audit log not found: ${auditFile}`);
+  process.exit(1);
+}
+
+let prevHash = null;
+let prevSeq = null;
+let anchor = null;
+let count = 0;
+
+for (const file of files) {
+  const lines = fs.readFileSync(file, "utf8").split("\n");
+  for (let i = 0; i < lines.length; i += 1) {
+    if (!lines[i].trim()) {
+      continue;
+    }
+    const lineNo = i + 1;
+    let record;
+    try {
+      record = JSON.parse(lines[i]);
+    } catch {
+      fail(file, lineNo, "invalid JSON");
+    }
+
+    const { hash, ...body } = record;
+    if (sha256(JSON.stringify(body)) !== hash) {
+      fail(file, lineNo, `hash mismatch at seq ${record.seq}`);
+    }
+    if (prevHash === null) {
+      anchor = { seq: record.seq, prev: record.prev };
+    } else {
+      if (record.prev !== prevHash) {
+        fail(file, lineNo, `chain broken at seq ${record.seq} (prev does not match previous record)`);
+      }
+      if (record.seq !== prevSeq + 1) {
+        fail(file, lineNo, `sequence gap: ${prevSeq} -> ${record.seq}`);
+      }
+    }
+    prevHash = hash;
+    prevSeq = record.seq;
+    count += 1;
+  }
+}
+
+console.log(`OK ${count} record(s) across ${files.length} file(s), seq ${anchor ? anchor.seq : "-"}..${prevSeq ?? "-"}`);
+if (anchor && anchor.seq !== 1) {
+  console.log(`Chain anchored at seq ${anchor.seq} (prev ${anchor.prev}); older records were rotated out.`);
+}
+console.log(`Head hash: ${prevHash}`);